@@ -0,0 +1,23 @@
+-- Store API tokens as hashes only
+-- Adds token_hash (HMAC-SHA256 with TOKEN_PEPPER) and
+-- token_prefix (first characters, to identify a token in logs and support requests).
+-- Existing plaintext tokens are hashed (and their plaintext cleared) by
+-- scripts/migrate-token-hashes.js, which applies this file first; it is safe to run
+-- more than once, and on schemas that never had a plaintext token column.
+
+ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS token_hash VARCHAR(64);
+ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS token_prefix VARCHAR(16);
+
+-- Hashed rows no longer keep the plaintext token
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'api_tokens' AND column_name = 'token'
+  ) THEN
+    ALTER TABLE api_tokens ALTER COLUMN token DROP NOT NULL;
+  END IF;
+END
+$$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS api_tokens_token_hash_idx ON api_tokens (token_hash);
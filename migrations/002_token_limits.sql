@@ -0,0 +1,24 @@
+-- Per-token monthly quotas and per-minute rate limits (AUTH_PROVIDER=postgres)
+-- NULL limits fall back to TOKEN_MONTHLY_QUOTA / TOKEN_RATE_LIMIT_PER_MINUTE;
+-- 0 means unlimited. Safe to run more than once:
+--   psql "$DATABASE_URL" -f migrations/002_token_limits.sql
+
+ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS monthly_quota INTEGER;
+ALTER TABLE api_tokens ADD COLUMN IF NOT EXISTS rate_limit_per_minute INTEGER;
+
+-- Renders per token and calendar month (UTC): reserved on admission, refunded when they fail
+CREATE TABLE IF NOT EXISTS api_token_usage (
+  token_hash VARCHAR(64) NOT NULL,
+  period_start DATE NOT NULL,
+  request_count INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (token_hash, period_start)
+);
+
+-- Requests per token and minute; the current and previous minute form the sliding window
+CREATE TABLE IF NOT EXISTS api_token_rate_windows (
+  token_hash VARCHAR(64) NOT NULL,
+  window_start TIMESTAMPTZ NOT NULL,
+  request_count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (token_hash, window_start)
+);
@@ -0,0 +1,23 @@
+-- Usage events recorded by the postgres usage sink (USAGE_SINK=postgres)
+-- One row per request (each batch item counts as one); GET /usage aggregates them by day and format.
+-- Safe to run more than once:
+--   psql "$DATABASE_URL" -f migrations/003_usage_events.sql
+
+CREATE TABLE IF NOT EXISTS usage_events (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  principal_id VARCHAR(255),
+  provider VARCHAR(32),
+  route TEXT NOT NULL,
+  format TEXT NOT NULL,
+  language TEXT,
+  theme TEXT,
+  input_bytes INTEGER NOT NULL DEFAULT 0,
+  output_bytes INTEGER NOT NULL DEFAULT 0,
+  duration_ms INTEGER NOT NULL DEFAULT 0,
+  cache_hit BOOLEAN NOT NULL DEFAULT false,
+  status_code SMALLINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS usage_events_principal_created_idx
+  ON usage_events (principal_id, created_at);
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * Token Hash Migration
+ * Applies migrations/001_hash_api_tokens.sql, then replaces every plaintext token in
+ * api_tokens with its hash and prefix (see src/db/tokenHash.js). The plaintext is
+ * cleared in the same transaction as the hash is written, so no separate step is
+ * needed; tables without a plaintext `token` column only get the new columns.
+ *
+ * Run with the same TOKEN_PEPPER and DB_SECRET_NAME as the deployed function:
+ *   TOKEN_PEPPER=... DB_SECRET_NAME=... npm run migrate:token-hashes [-- --dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getPool, closePool } = require('../src/db/connectionPool');
+const { assertTokenPepper, hashToken, getTokenPrefix } = require('../src/db/tokenHash');
+
+const MIGRATION_FILE = path.join(__dirname, '..', 'migrations', '001_hash_api_tokens.sql');
+
+// Rows hashed per transaction
+const BATCH_SIZE = 500;
+
+/**
+ * Run the migration
+ * @param {Object} options - { dryRun: only report how many rows would be hashed }
+ * @returns {Promise<number>} Number of rows hashed
+ */
+async function migrate({ dryRun = false } = {}) {
+  // Hashes made without the deployed pepper would never match
+  assertTokenPepper();
+
+  const pool = await getPool();
+  const hasTokenColumn = await hasPlaintextColumn(pool);
+
+  if (dryRun) {
+    if (!hasTokenColumn) {
+      console.log('Dry run: api_tokens has no plaintext token column, nothing to hash');
+      return 0;
+    }
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM api_tokens WHERE token IS NOT NULL`
+    );
+    console.log(`Dry run: ${result.rows[0].count} plaintext token(s) would be hashed`);
+    return 0;
+  }
+
+  await pool.query(fs.readFileSync(MIGRATION_FILE, 'utf8'));
+  console.log('Applied migrations/001_hash_api_tokens.sql');
+
+  if (!hasTokenColumn) {
+    console.log('api_tokens has no plaintext token column, nothing to hash');
+    return 0;
+  }
+
+  let hashed = 0;
+  for (;;) {
+    const count = await hashBatch(pool);
+    if (count === 0) break;
+    hashed += count;
+    console.log(`Hashed ${hashed} token(s)`);
+  }
+
+  // Rows are hashed and cleared together, so none may be left in plaintext
+  const remaining = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM api_tokens WHERE token IS NOT NULL`
+  );
+  if (remaining.rows[0].count > 0) {
+    throw new Error(`${remaining.rows[0].count} plaintext token(s) are left; run the migration again`);
+  }
+
+  console.log(`Done: ${hashed} token(s) hashed, no plaintext tokens left`);
+  return hashed;
+}
+
+/**
+ * Check whether api_tokens still has the plaintext token column
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {Promise<boolean>}
+ */
+async function hasPlaintextColumn(pool) {
+  const result = await pool.query(
+    `SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'api_tokens' AND column_name = 'token'`
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Hash one batch of plaintext tokens and clear their plaintext in one transaction
+ * @param {Pool} pool - PostgreSQL connection pool
+ * @returns {Promise<number>} Rows updated (0 when none are left)
+ */
+async function hashBatch(pool) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `SELECT token FROM api_tokens
+      WHERE token IS NOT NULL
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED`,
+      [BATCH_SIZE]
+    );
+
+    for (const { token } of result.rows) {
+      await client.query(
+        `UPDATE api_tokens
+        SET token_hash = $1, token_prefix = $2, token = NULL
+        WHERE token = $3`,
+        [hashToken(token), getTokenPrefix(token), token]
+      );
+    }
+
+    await client.query('COMMIT');
+    return result.rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+if (require.main === module) {
+  migrate({ dryRun: process.argv.includes('--dry-run') })
+    .catch((error) => {
+      console.error('Token hash migration failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => closePool());
+}
+
+module.exports = { migrate };
@@ -0,0 +1,273 @@
+/**
+ * Authentication
+ * Selects the API key provider from the AUTH_PROVIDER environment variable and
+ * normalizes every provider's answer to one result shape (principalId is
+ * namespaced by provider, e.g. "postgres:42"):
+ *   { valid, principalId?, remainingQuota?, rateLimit?, retryAfter?, error?, statusCode?, provider }
+ * rateLimit ({ limit, remaining, reset }) and retryAfter (seconds) come from providers
+ * that enforce limits locally (postgres); JAAS only reports remainingQuota.
+ * A valid result for a batch JAAS could only partly charge also carries grantedUnits
+ * (items that may render) and denied ({ error, statusCode } for the rest)
+ *
+ * Providers: jaas (default), postgres (src/db/tokenVerifier.js), static-keys, or a
+ * comma-separated chain such as "static-keys,jaas" tried in order
+ */
+
+const AUTH_PROVIDER = (process.env.AUTH_PROVIDER || 'jaas').toLowerCase();
+const STATIC_API_KEYS = process.env.STATIC_API_KEYS || '';
+
+const PROVIDER_NAMES = ['jaas', 'postgres', 'static-keys'];
+
+// Postgres tokens are looked up by peppered hash: fail the cold start, not every request
+if (AUTH_PROVIDER.split(',').map((part) => part.trim()).includes('postgres')) {
+  require('../db/tokenHash').assertTokenPepper();
+}
+
+// Module-level provider (persists across warm Lambda invocations)
+let provider = null;
+
+/**
+ * Validate an API key with the configured provider
+ * @param {string} apiKey - The API key to validate
+ * @param {string} clientIp - Client IP address (optional, for logging)
+ * @param {Object} options - { units: quota units to consume (default 1) }
+ * @returns {Promise<Object>} { valid, principalId?, remainingQuota?, rateLimit?, retryAfter?, error?, statusCode?, provider }
+ */
+async function authenticate(apiKey, clientIp = null, { units = 1 } = {}) {
+  if (!provider) {
+    provider = createAuthProvider(AUTH_PROVIDER);
+    console.log(`Using ${provider.name} auth provider`);
+  }
+  const result = await provider.authenticate(apiKey, clientIp, { units });
+
+  // Ids are only unique within a provider (JAAS apiKeyId 42 and Postgres user_id 42 are
+  // different tenants), so the principal id carries the provider: "jaas:42"
+  if (result.principalId !== undefined && result.principalId !== null) {
+    return { ...result, principalId: `${result.provider}:${result.principalId}` };
+  }
+  return result;
+}
+
+/**
+ * Settle the units reserved by authenticate() for providers that meter usage locally
+ * (postgres refunds the renders that didn't succeed; JAAS already charged them).
+ * Call it once per authenticated render request, also when nothing succeeded.
+ * Failures are logged and never fail a request that has already rendered
+ * @param {string} apiKey - The validated API key
+ * @param {Object} authResult - Result of authenticate()
+ * @param {Object} options - { units: renders that succeeded (default 1) }
+ * @returns {Promise<Object>} Auth result with an updated rateLimit
+ */
+async function recordUsage(apiKey, authResult, { units = 1 } = {}) {
+  if (!provider || !provider.recordUsage) {
+    return authResult;
+  }
+  try {
+    return await provider.recordUsage(apiKey, authResult, { units });
+  } catch (error) {
+    console.error(`Failed to record usage with ${provider.name} auth provider:`, error);
+    return authResult;
+  }
+}
+
+/**
+ * Build rate limit response headers from an auth result
+ * @param {Object} authResult - Result of authenticate() or recordUsage()
+ * @returns {Object} X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset and
+ *   Retry-After, as far as the provider reports them
+ */
+function getRateLimitHeaders(authResult) {
+  const headers = {};
+  if (authResult.rateLimit) {
+    headers['X-RateLimit-Limit'] = String(authResult.rateLimit.limit);
+    headers['X-RateLimit-Remaining'] = String(authResult.rateLimit.remaining);
+    headers['X-RateLimit-Reset'] = String(authResult.rateLimit.reset);
+  } else if (authResult.remainingQuota !== undefined) {
+    headers['X-RateLimit-Remaining'] = String(authResult.remainingQuota);
+  }
+  if (authResult.retryAfter !== undefined) {
+    headers['Retry-After'] = String(authResult.retryAfter);
+  }
+  return headers;
+}
+
+/**
+ * Create an auth provider from its configured name
+ * Providers are required lazily so unused backends (pg, Secrets Manager) aren't loaded
+ * @param {string} name - Provider name or comma-separated chain
+ * @returns {Object} Auth provider: { name, authenticate }
+ */
+function createAuthProvider(name) {
+  const names = name.split(',').map((part) => part.trim()).filter(Boolean);
+  const unknown = names.find((part) => !PROVIDER_NAMES.includes(part));
+  if (names.length === 0 || unknown) {
+    throw new Error(
+      `Invalid AUTH_PROVIDER "${name}". Use one of ${PROVIDER_NAMES.join(', ')} or a comma-separated chain`
+    );
+  }
+
+  if (names.length > 1) {
+    return createChainProvider(names.map(createSingleProvider));
+  }
+  return createSingleProvider(names[0]);
+}
+
+function createSingleProvider(name) {
+  switch (name) {
+    case 'postgres':
+      return createPostgresProvider();
+    case 'static-keys': {
+      const { createStaticKeysProvider } = require('./staticKeys');
+      return createStaticKeysProvider(STATIC_API_KEYS);
+    }
+    default:
+      return createJaasProvider();
+  }
+}
+
+/**
+ * JAAS provider: API keys, quota and usage tracking in the JAAS service
+ * @returns {Object} Auth provider
+ */
+function createJaasProvider() {
+  const jaasClient = require('./jaasClient');
+
+  return {
+    name: 'jaas',
+    async authenticate(apiKey, clientIp, { units }) {
+      const result = await jaasClient.validateApiKey(apiKey, clientIp, { units });
+      return {
+        valid: result.valid,
+        principalId:
+          result.apiKeyId === undefined || result.apiKeyId === null ? undefined : String(result.apiKeyId),
+        remainingQuota: result.remainingQuota,
+        error: result.error,
+        statusCode: result.statusCode,
+        ...(result.denied && { grantedUnits: result.grantedUnits, denied: result.denied }),
+        provider: 'jaas',
+      };
+    },
+  };
+}
+
+/**
+ * PostgreSQL provider: tokens in the api_tokens table (see src/db/tokenVerifier.js)
+ * Enforces per-token monthly quotas and per-minute rate limits (src/db/usageLimits.js);
+ * unknown tokens get the generic "Invalid API key" error
+ * @returns {Object} Auth provider
+ */
+function createPostgresProvider() {
+  const { verifyToken } = require('../db/tokenVerifier');
+  const { checkTokenLimits, settleTokenUsage } = require('../db/usageLimits');
+
+  return {
+    name: 'postgres',
+    async authenticate(apiKey, clientIp, { units }) {
+      const result = await verifyToken(apiKey);
+      if (result.isValid) {
+        // units 0 (GET /usage, signing) doesn't count against the limits
+        const limits = units > 0 ? await checkTokenLimits(result, units) : { allowed: true };
+        if (!limits.allowed) {
+          return {
+            valid: false,
+            // The token is known, so its rejections show up in the usage report
+            principalId: String(result.userId),
+            error: limits.error,
+            statusCode: 429,
+            rateLimit: limits.rateLimit,
+            retryAfter: limits.retryAfter,
+            provider: 'postgres',
+          };
+        }
+        return {
+          valid: true,
+          principalId: String(result.userId),
+          ...(limits.rateLimit && { rateLimit: limits.rateLimit }),
+          // Units reserved against the monthly quota, settled by recordUsage
+          ...(limits.reservation && { reservation: limits.reservation }),
+          provider: 'postgres',
+        };
+      }
+
+      const statusCode = result.statusCode || 401;
+      let error = 'Invalid API key'; // Don't reveal whether a token exists
+      if (statusCode >= 500) {
+        error = 'Authentication service temporarily unavailable';
+      } else if (result.error !== 'Token not found') {
+        error = result.error; // Inactive / expired tokens
+      }
+      return { valid: false, error, statusCode, provider: 'postgres' };
+    },
+    async recordUsage(apiKey, authResult, { units }) {
+      if (!authResult.reservation) {
+        return authResult;
+      }
+      const token = await verifyToken(apiKey); // Cached since authenticate()
+      if (!token.isValid) {
+        return authResult;
+      }
+      const rateLimit = await settleTokenUsage(token, authResult.reservation, units);
+      return rateLimit ? { ...authResult, rateLimit } : authResult;
+    },
+  };
+}
+
+/**
+ * Chain provider: asks each provider in order until one accepts the key
+ * A provider that doesn't know the key (401) or is unavailable (5xx) falls through
+ * to the next; any other answer (e.g. 429 quota exceeded) is final. When no provider
+ * accepts the key, an outage wins over "invalid" so clients retry
+ * @param {Array<Object>} providers - Auth providers
+ * @returns {Object} Auth provider
+ */
+function createChainProvider(providers) {
+  return {
+    name: providers.map((chained) => chained.name).join(','),
+    async authenticate(apiKey, clientIp, options) {
+      let unavailable = null;
+      let rejected = null;
+
+      for (const chained of providers) {
+        let result;
+        try {
+          result = await chained.authenticate(apiKey, clientIp, options);
+        } catch (error) {
+          console.error(`${chained.name} auth provider failed:`, error);
+          result = {
+            valid: false,
+            error: 'Authentication service temporarily unavailable',
+            statusCode: 503,
+            provider: chained.name,
+          };
+        }
+
+        const statusCode = result.statusCode || 401;
+        if (result.valid) {
+          return { ...result, provider: chained.name };
+        }
+        if (statusCode >= 500) {
+          unavailable = unavailable || result;
+        } else if (statusCode === 401) {
+          rejected = rejected || result;
+        } else {
+          return result;
+        }
+      }
+
+      return unavailable || rejected;
+    },
+    async recordUsage(apiKey, authResult, options) {
+      const accepted = providers.find((chained) => chained.name === authResult.provider);
+      if (!accepted || !accepted.recordUsage) {
+        return authResult;
+      }
+      return accepted.recordUsage(apiKey, authResult, options);
+    },
+  };
+}
+
+module.exports = {
+  authenticate,
+  recordUsage,
+  getRateLimitHeaders,
+};
@@ -1,33 +1,124 @@
 /**
  * JAAS (Java Authentication & Authorization Service) Client
  * Handles API key validation and quota management via JAAS service
+ *
+ * Resilience: invalid keys are cached briefly (negative cache), transient failures
+ * are retried with jittered backoff, and a circuit breaker stops calling JAAS during
+ * outages. JAAS consumes quota on every /validate call, so valid keys are still
+ * validated on each render; the positive cache remembers known-good keys for the
+ * fail-open policy (JAAS_FAILURE_POLICY=open) while JAAS is down and for requests
+ * that don't render (GET /usage, signing)
  */
 
 const https = require('https');
 const http = require('http');
+const crypto = require('crypto');
+const { retryWithBackoff } = require('../utils/retry');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { createCircuitBreaker } = require('../utils/circuitBreaker');
 
 // JAAS service configuration
 const JAAS_BASE_URL = process.env.JAAS_BASE_URL || '';
 const JAAS_PRODUCT_NAME = process.env.JAAS_PRODUCT_NAME || 'codetoimage';
 const JAAS_TIMEOUT = parseInt(process.env.JAAS_TIMEOUT || '5000', 10); // 5 seconds default
 
+// Cache TTLs in milliseconds (default: 5 minutes for valid keys, 30 seconds for invalid ones)
+const POSITIVE_CACHE_TTL = parseInt(process.env.JAAS_CACHE_TTL || '300', 10) * 1000;
+const NEGATIVE_CACHE_TTL = parseInt(process.env.JAAS_NEGATIVE_CACHE_TTL || '30', 10) * 1000;
+
+// Entries per cache; the oldest entry is evicted first (guards against floods of random keys)
+const MAX_CACHE_ENTRIES = 10000;
+
+// /validate calls in flight at once when charging a batch (JAAS consumes one unit per call)
+const UNIT_CONCURRENCY = 5;
+
+// Retries after a transient failure (connection error or JAAS 502/503/504)
+const JAAS_RETRIES = parseInt(process.env.JAAS_RETRIES || '2', 10);
+const JAAS_RETRY_DELAY = parseInt(process.env.JAAS_RETRY_DELAY || '100', 10);
+
+// "closed": reject requests while JAAS is unavailable (503)
+// "open": accept keys JAAS accepted within JAAS_CACHE_TTL (no quota is charged meanwhile)
+const JAAS_FAILURE_POLICY = (process.env.JAAS_FAILURE_POLICY || 'closed').toLowerCase();
+
+// Module-level caches keyed by API key hash (persist across warm Lambda invocations)
+const positiveCache = new Map();
+const negativeCache = new Map();
+
+const circuitBreaker = createCircuitBreaker({
+  name: 'JAAS',
+  threshold: parseInt(process.env.JAAS_CIRCUIT_THRESHOLD || '5', 10),
+  cooldownMs: parseInt(process.env.JAAS_CIRCUIT_COOLDOWN || '30', 10) * 1000,
+});
+
 /**
  * Validate API key with JAAS service
+ * JAAS consumes one unit per /validate call, so `units` > 1 (a batch) makes one call
+ * per unit. Units can't be refunded, so a batch JAAS can only partly charge (quota runs
+ * out, a call fails) is granted the units that were charged: `grantedUnits` items
+ * render and the rest get `denied`. The first call reports the remaining quota, and no
+ * more units than that are requested. `units` 0 (GET /usage, signing) reuses a key JAAS
+ * accepted within JAAS_CACHE_TTL; JAAS has no free validation, so otherwise the key is
+ * validated (and charged) like a render
  * @param {string} apiKey - The API key to validate
  * @param {string} clientIp - Client IP address (optional, for logging)
+ * @param {Object} options - { units: quota units to consume (default 1, e.g. the item count of a batch) }
  * @returns {Promise<Object>} Validation result
- *   { valid: boolean, apiKeyId?: number, remainingQuota?: number, error?: string, statusCode?: number }
+ *   { valid: boolean, apiKeyId?: number, remainingQuota?: number, error?: string, statusCode?: number, failOpen?: boolean,
+ *     grantedUnits?: number, denied?: { error, statusCode } } (grantedUnits and denied only when fewer units were charged)
  */
-async function validateApiKey(apiKey, clientIp = null) {
-  if (!JAAS_BASE_URL) {
-    console.error('JAAS_BASE_URL environment variable is not set');
-    return {
-      valid: false,
-      error: 'Authentication service configuration error',
-      statusCode: 503,
+async function validateApiKey(apiKey, clientIp = null, { units = 1 } = {}) {
+  if (units === 0 && apiKey && typeof apiKey === 'string') {
+    const known = getCachedResult(positiveCache, getCacheKey(apiKey), POSITIVE_CACHE_TTL);
+    if (known) {
+      return known;
+    }
+  }
+
+  const first = await validateOnce(apiKey, clientIp);
+  if (!first.valid || first.failOpen || units <= 1) {
+    return first;
+  }
+
+  let requested = units - 1;
+  let denied = null;
+  if (first.remainingQuota !== undefined && first.remainingQuota < requested) {
+    requested = first.remainingQuota;
+    denied = {
+      error: 'Monthly quota exceeded. Please upgrade your plan or wait for quota reset.',
+      statusCode: 429,
     };
   }
 
+  // A half-open circuit lets one trial call through, so parallel calls would all
+  // get the outage response: charge one unit at a time until it has closed
+  const concurrency = circuitBreaker.getState().state === 'closed' ? UNIT_CONCURRENCY : 1;
+  const results = await mapWithConcurrency(Array.from({ length: requested }), concurrency, () =>
+    validateOnce(apiKey, clientIp)
+  );
+
+  const charged = results.filter((result) => result.valid);
+  const failed = results.find((result) => !result.valid);
+  if (failed) {
+    denied = { error: failed.error, statusCode: failed.statusCode || 401 };
+  }
+
+  const remaining = charged
+    .map((result) => result.remainingQuota)
+    .filter((remainingQuota) => remainingQuota !== undefined);
+  return {
+    ...first,
+    ...(remaining.length > 0 && { remainingQuota: Math.min(...remaining) }),
+    ...(denied && { grantedUnits: 1 + charged.length, denied }),
+  };
+}
+
+/**
+ * Validate an API key for one unit (negative cache, retries, circuit breaker)
+ * @param {string} apiKey - The API key to validate
+ * @param {string} clientIp - Client IP address (optional, for logging)
+ * @returns {Promise<Object>} Validation result
+ */
+async function validateOnce(apiKey, clientIp) {
   if (!apiKey || typeof apiKey !== 'string') {
     return {
       valid: false,
@@ -36,6 +127,115 @@ async function validateApiKey(apiKey, clientIp = null) {
     };
   }
 
+  const cacheKey = getCacheKey(apiKey);
+
+  // Recently rejected keys are rejected again without calling JAAS
+  const rejected = getCachedResult(negativeCache, cacheKey, NEGATIVE_CACHE_TTL);
+  if (rejected) {
+    return rejected;
+  }
+
+  if (!circuitBreaker.canRequest()) {
+    return handleOutage(cacheKey, {
+      valid: false,
+      error: 'Authentication service temporarily unavailable',
+      statusCode: 503,
+    });
+  }
+
+  const result = await retryWithBackoff(() => requestValidation(apiKey, clientIp), {
+    retries: JAAS_RETRIES,
+    baseDelayMs: JAAS_RETRY_DELAY,
+    shouldRetry: (attemptResult) => attemptResult.retryable === true,
+  });
+  delete result.retryable;
+
+  if (result.statusCode >= 500) {
+    circuitBreaker.recordFailure();
+    return handleOutage(cacheKey, result);
+  }
+  circuitBreaker.recordSuccess();
+
+  if (result.valid) {
+    setCachedResult(positiveCache, cacheKey, result);
+  } else {
+    positiveCache.delete(cacheKey);
+    if (result.statusCode === 401) {
+      setCachedResult(negativeCache, cacheKey, result);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Apply the failure policy while JAAS is unavailable
+ * @param {string} cacheKey - API key hash
+ * @param {Object} failure - The 5xx result to return when failing closed
+ * @returns {Object} Validation result
+ */
+function handleOutage(cacheKey, failure) {
+  if (JAAS_FAILURE_POLICY === 'open') {
+    const known = getCachedResult(positiveCache, cacheKey, POSITIVE_CACHE_TTL);
+    if (known) {
+      console.warn(`JAAS unavailable: accepting known key ${known.apiKeyId} (fail-open)`);
+      // Remaining quota is unknown until JAAS is back
+      return { valid: true, apiKeyId: known.apiKeyId, productName: known.productName, failOpen: true };
+    }
+  }
+  return failure;
+}
+
+// Cache key of an API key (the key itself is never held in memory longer than a request)
+function getCacheKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Read a cache entry that is younger than ttl
+ * @param {Map} cache - positiveCache or negativeCache
+ * @param {string} cacheKey - API key hash
+ * @param {number} ttl - Entry lifetime in milliseconds
+ * @returns {Object|null} Cached result or null
+ */
+function getCachedResult(cache, cacheKey, ttl) {
+  const cached = cache.get(cacheKey);
+  if (!cached) {
+    return null;
+  }
+  if (Date.now() - cached.cachedAt >= ttl) {
+    cache.delete(cacheKey);
+    return null;
+  }
+  return cached.result;
+}
+
+function setCachedResult(cache, cacheKey, result) {
+  cache.delete(cacheKey);
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(cacheKey, { result, cachedAt: Date.now() });
+}
+
+/**
+ * Make one /validate call to JAAS
+ * Transient failures (connection errors, JAAS 502/503/504) are marked retryable;
+ * timeouts are not, since JAAS may have consumed quota already
+ * @param {string} apiKey - The API key to validate
+ * @param {string} clientIp - Client IP address (optional, for logging)
+ * @returns {Promise<Object>} Validation result (with retryable: true on transient failures)
+ */
+async function requestValidation(apiKey, clientIp) {
+  if (!JAAS_BASE_URL) {
+    console.error('JAAS_BASE_URL environment variable is not set');
+    return {
+      valid: false,
+      error: 'Authentication service configuration error',
+      statusCode: 503,
+    };
+  }
+
   console.log('Validating API key with JAAS:', {
     baseUrl: JAAS_BASE_URL,
     productName: JAAS_PRODUCT_NAME,
@@ -145,6 +345,7 @@ async function validateApiKey(apiKey, clientIp = null) {
         valid: false,
         error: 'Authentication service temporarily unavailable',
         statusCode: 503,
+        retryable: [502, 503, 504].includes(response.statusCode),
       };
     }
   } catch (error) {
@@ -165,6 +366,7 @@ async function validateApiKey(apiKey, clientIp = null) {
         valid: false,
         error: 'Authentication service unavailable',
         statusCode: 503,
+        retryable: true,
       };
     }
 
@@ -256,7 +458,30 @@ function makeRequest(client, url, options, body) {
   });
 }
 
+/**
+ * Clear the validation caches (useful for testing or forced refresh)
+ */
+function clearCache() {
+  positiveCache.clear();
+  negativeCache.clear();
+}
+
+/**
+ * Get cache and circuit breaker statistics (useful for monitoring)
+ * @returns {Object} Cache statistics
+ */
+function getCacheStats() {
+  return {
+    positive: { size: positiveCache.size, ttl: POSITIVE_CACHE_TTL },
+    negative: { size: negativeCache.size, ttl: NEGATIVE_CACHE_TTL },
+    failurePolicy: JAAS_FAILURE_POLICY,
+    circuit: circuitBreaker.getState(),
+  };
+}
+
 module.exports = {
   validateApiKey,
+  clearCache,
+  getCacheStats,
 };
 
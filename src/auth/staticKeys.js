@@ -0,0 +1,56 @@
+/**
+ * Static API Keys
+ * Auth provider for local development and small self-hosted deployments: keys are
+ * listed in the STATIC_API_KEYS environment variable as "principal:key" pairs
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create the static-keys auth provider
+ * @param {string} keyList - Comma-separated "principal:key" pairs, e.g. "alice:sk_dev_1,ci:sk_ci_2"
+ *   (a bare "key" uses "static" as its principal)
+ * @returns {Object} Auth provider: { name, authenticate }
+ */
+function createStaticKeysProvider(keyList) {
+  const keys = (keyList || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { principalId: 'static', digest: digest(entry) }
+        : { principalId: entry.slice(0, separator), digest: digest(entry.slice(separator + 1)) };
+    });
+
+  if (keys.length === 0) {
+    throw new Error('STATIC_API_KEYS environment variable is not set');
+  }
+
+  return {
+    name: 'static-keys',
+
+    /**
+     * Validate an API key against the configured list (no quota)
+     * @param {string} apiKey - The API key to validate
+     * @returns {Promise<Object>} Normalized auth result
+     */
+    async authenticate(apiKey) {
+      // Compare fixed-length digests in constant time
+      const candidate = digest(apiKey);
+      const match = keys.find((key) => crypto.timingSafeEqual(key.digest, candidate));
+
+      if (!match) {
+        return { valid: false, error: 'Invalid API key', statusCode: 401, provider: 'static-keys' };
+      }
+      return { valid: true, principalId: match.principalId, provider: 'static-keys' };
+    },
+  };
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+module.exports = { createStaticKeysProvider };
@@ -0,0 +1,237 @@
+/**
+ * Backgrounds
+ * Validates the background request options (named gradient presets, solid colors,
+ * CSS linear gradients, transparency and base64 images) into a descriptor that the
+ * HTML template and the SVG renderer both draw
+ */
+
+const DEFAULT_BACKGROUND_PRESET = 'purple';
+
+// Named gradient presets (CSS angle convention: 0deg = to top, clockwise)
+const BACKGROUND_PRESETS = {
+  purple: { type: 'linear', angle: 135, stops: [{ color: '#667eea', offset: 0 }, { color: '#764ba2', offset: 1 }] },
+  ocean: { type: 'linear', angle: 135, stops: [{ color: '#2193b0', offset: 0 }, { color: '#6dd5ed', offset: 1 }] },
+  sunset: { type: 'linear', angle: 135, stops: [{ color: '#ff7e5f', offset: 0 }, { color: '#feb47b', offset: 1 }] },
+  forest: { type: 'linear', angle: 135, stops: [{ color: '#134e5e', offset: 0 }, { color: '#71b280', offset: 1 }] },
+  midnight: { type: 'linear', angle: 135, stops: [{ color: '#232526', offset: 0 }, { color: '#414345', offset: 1 }] },
+  candy: { type: 'linear', angle: 135, stops: [{ color: '#f093fb', offset: 0 }, { color: '#f5576c', offset: 1 }] },
+  peach: { type: 'linear', angle: 135, stops: [{ color: '#ffecd2', offset: 0 }, { color: '#fcb69f', offset: 1 }] },
+  aurora: { type: 'linear', angle: 135, stops: [{ color: '#00c9ff', offset: 0 }, { color: '#92fe9d', offset: 1 }] },
+};
+
+const DEFAULT_BACKGROUND = BACKGROUND_PRESETS[DEFAULT_BACKGROUND_PRESET];
+
+// Colors accepted in solid backgrounds and gradient stops; anything else is rejected
+// so request values never reach the generated CSS unchecked
+const SAFE_COLOR =
+  /^(#[0-9a-f]{3,4}|#[0-9a-f]{6}|#[0-9a-f]{8}|(rgb|hsl)a?\([\d.\s,%/deg]+\)|[a-z]{3,20})$/i;
+
+// Decoded size limit for background images (API Gateway caps request bodies at 10 MB)
+const MAX_BACKGROUND_IMAGE_BYTES = 2 * 1024 * 1024;
+
+// Magic numbers of the supported background image types
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/png', test: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/jpeg', test: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  {
+    mimeType: 'image/webp',
+    test: (bytes) =>
+      bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP',
+  },
+];
+
+/**
+ * Validate background options from the request body
+ * @param {Object} fields - { background, backgroundImage }
+ *   background: preset name, hex/rgb()/hsl()/named color, linear-gradient(...) or "transparent"
+ *   backgroundImage: PNG/JPEG/WebP as a data URL or raw base64 (drawn to cover the frame)
+ * @returns {Object} { background } on success or { error } on invalid input
+ *   background: { type: 'solid', color } | { type: 'linear', angle, stops }
+ *     | { type: 'transparent' } | { type: 'image', mimeType, dataUrl }
+ */
+function validateBackground({ background, backgroundImage } = {}) {
+  if (backgroundImage !== undefined && backgroundImage !== null) {
+    return validateBackgroundImage(backgroundImage);
+  }
+
+  if (background === undefined || background === null) {
+    return { background: DEFAULT_BACKGROUND };
+  }
+
+  if (typeof background !== 'string' || !background.trim()) {
+    return { error: 'Invalid background. Must be a preset name, color or linear-gradient()' };
+  }
+
+  const value = background.trim();
+  if (value.toLowerCase() === 'transparent') {
+    return { background: { type: 'transparent' } };
+  }
+
+  const presetName = value.toLowerCase();
+  if (Object.hasOwn(BACKGROUND_PRESETS, presetName)) {
+    return { background: BACKGROUND_PRESETS[presetName] };
+  }
+
+  const parsed = parseCssBackground(value);
+  if (!parsed) {
+    return {
+      error:
+        'Invalid background. Use a color (e.g. "#1a1a2e"), a linear-gradient(), "transparent" ' +
+        `or one of: ${Object.keys(BACKGROUND_PRESETS).join(', ')}`,
+    };
+  }
+
+  return { background: parsed };
+}
+
+/**
+ * Validate a base64 background image and detect its type from the file contents
+ * @param {string} image - Data URL or raw base64
+ * @returns {Object} { background: { type: 'image', mimeType, dataUrl } } or { error }
+ */
+function validateBackgroundImage(image) {
+  if (typeof image !== 'string') {
+    return { error: 'Invalid backgroundImage. Must be a base64 string or data URL' };
+  }
+
+  const base64 = image.trim().replace(/^data:image\/[a-z+.-]+;base64,/i, '').replace(/\s+/g, '');
+  if (!base64 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+    return { error: 'Invalid backgroundImage. Must be a base64 string or data URL' };
+  }
+
+  // Check the size before decoding (base64 is 4 characters per 3 bytes)
+  if (Math.floor((base64.length * 3) / 4) > MAX_BACKGROUND_IMAGE_BYTES) {
+    return {
+      error: `Invalid backgroundImage. Images may be at most ${MAX_BACKGROUND_IMAGE_BYTES / 1024 / 1024} MB`,
+    };
+  }
+
+  const bytes = Buffer.from(base64, 'base64');
+  const signature = IMAGE_SIGNATURES.find(({ test }) => bytes.length >= 12 && test(bytes));
+  if (!signature) {
+    return { error: 'Invalid backgroundImage. Supported types: PNG, JPEG, WebP' };
+  }
+
+  return {
+    background: {
+      type: 'image',
+      mimeType: signature.mimeType,
+      dataUrl: `data:${signature.mimeType};base64,${bytes.toString('base64')}`,
+    },
+  };
+}
+
+/**
+ * Convert a background descriptor into a CSS background value
+ * @param {Object} background - Descriptor from validateBackground
+ * @returns {string} CSS background value
+ */
+function backgroundToCss(background = DEFAULT_BACKGROUND) {
+  switch (background.type) {
+    case 'transparent':
+      return 'transparent';
+    case 'solid':
+      return background.color;
+    case 'image':
+      return `center / cover no-repeat url("${background.dataUrl}")`;
+    default: {
+      const stops = background.stops
+        .map((stop) => `${stop.color} ${Math.round(stop.offset * 10000) / 100}%`)
+        .join(', ');
+      return `linear-gradient(${background.angle}deg, ${stops})`;
+    }
+  }
+}
+
+/**
+ * Parse a CSS background into a solid color or a linear gradient description
+ * @param {string} background - CSS background value
+ * @returns {Object|null} { type: 'solid', color } | { type: 'linear', angle, stops } | null
+ */
+function parseCssBackground(background) {
+  if (typeof background !== 'string' || !background.trim()) {
+    return null;
+  }
+
+  const value = background.trim();
+  const gradientMatch = value.match(/^linear-gradient\(([\s\S]*)\)$/i);
+
+  if (!gradientMatch) {
+    return SAFE_COLOR.test(value) ? { type: 'solid', color: value } : null;
+  }
+
+  const parts = splitTopLevel(gradientMatch[1]);
+  let angle = 180; // CSS default: to bottom
+
+  const directionMatch = parts[0] && parts[0].match(/^(-?[\d.]+)deg$/i);
+  if (directionMatch) {
+    angle = parseFloat(directionMatch[1]);
+    parts.shift();
+  } else if (parts[0] && /^to\s+/i.test(parts[0])) {
+    angle = directionToAngle(parts.shift());
+  }
+
+  if (parts.length < 2 || !Number.isFinite(angle)) {
+    return null;
+  }
+
+  const stops = parts.map((part, index) => {
+    const stopMatch = part.match(/^(.*?)\s+(-?[\d.]+)%$/);
+    return {
+      color: stopMatch ? stopMatch[1].trim() : part,
+      offset: stopMatch
+        ? parseFloat(stopMatch[2]) / 100
+        : index / (parts.length - 1),
+    };
+  });
+
+  if (stops.some((stop) => !SAFE_COLOR.test(stop.color) || !Number.isFinite(stop.offset))) {
+    return null;
+  }
+
+  return { type: 'linear', angle, stops };
+}
+
+/**
+ * Convert a CSS "to <side>" gradient direction into degrees
+ * @param {string} direction - e.g. "to right", "to bottom left"
+ * @returns {number} Angle in degrees
+ */
+function directionToAngle(direction) {
+  const sides = direction.toLowerCase().replace(/^to\s+/, '').split(/\s+/);
+  const x = sides.includes('right') ? 1 : sides.includes('left') ? -1 : 0;
+  const y = sides.includes('bottom') ? 1 : sides.includes('top') ? -1 : 0;
+  return ((Math.atan2(x, -y) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Split a string on commas that are not nested inside parentheses
+ * @param {string} value - Comma separated list, e.g. gradient arguments
+ * @returns {string[]} Trimmed parts
+ */
+function splitTopLevel(value) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+
+  return parts.filter(Boolean);
+}
+
+module.exports = {
+  DEFAULT_BACKGROUND,
+  BACKGROUND_PRESETS,
+  validateBackground,
+  backgroundToCss,
+};
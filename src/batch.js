@@ -0,0 +1,121 @@
+/**
+ * Batch Rendering
+ * Validates /generate/batch requests and renders their snippets with bounded
+ * concurrency, collecting a result or an error per item
+ */
+
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { getFileExtension } = require('./formats');
+
+const BATCH_PATH = '/generate/batch';
+
+// Most snippets per batch (quota is charged for every item)
+const MAX_BATCH_ITEMS = parseInt(process.env.MAX_BATCH_ITEMS || '50', 10);
+
+// Renders in flight at once; each raster/PDF render holds its own browser page
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '3', 10);
+
+/**
+ * Check whether an API Gateway event targets the batch route
+ * @param {Object} event - API Gateway proxy event
+ * @returns {boolean}
+ */
+function isBatchRoute(event) {
+  const path = (event.resource || event.path || '').replace(/\/+$/, '');
+  return path.endsWith(BATCH_PATH);
+}
+
+/**
+ * Validate a batch request body
+ * Accepts { items: [...], defaults?: {...} } or a bare array of snippet requests;
+ * defaults are merged under every item (e.g. a shared theme and format)
+ * @param {Object|Array} body - Parsed request body
+ * @returns {Object} { items } on success or { error } on invalid input
+ */
+function validateBatchRequest(body) {
+  const items = Array.isArray(body) ? body : body && body.items;
+  const defaults = Array.isArray(body) ? undefined : body && body.defaults;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'Invalid batch. Provide a non-empty "items" array of snippet requests' };
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    return { error: `Invalid batch. At most ${MAX_BATCH_ITEMS} items are allowed per request` };
+  }
+  if (defaults !== undefined && defaults !== null && !isPlainObject(defaults)) {
+    return { error: 'Invalid defaults. Must be an object of snippet request parameters' };
+  }
+
+  const invalidIndex = items.findIndex((item) => !isPlainObject(item));
+  if (invalidIndex !== -1) {
+    return { error: `Invalid batch item at index ${invalidIndex}. Each item must be an object` };
+  }
+
+  return { items: items.map((item) => ({ ...defaults, ...item })) };
+}
+
+/**
+ * Render batch items with bounded concurrency
+ * A failing item never fails the batch: it gets an error result instead
+ * @param {Array<Object>} items - Validated snippet requests
+ * @param {Function} render - async (body, index) => API Gateway response (the /generate pipeline)
+ * @returns {Promise<Object>} { count, succeeded, failed, results }
+ */
+async function renderBatch(items, render) {
+  const timestamp = Date.now();
+
+  const results = await mapWithConcurrency(items, BATCH_CONCURRENCY, async (item, index) => {
+    try {
+      return toBatchResult(index, await render(item, index), timestamp);
+    } catch (error) {
+      console.error(`Batch item ${index} failed:`, error);
+      return { index, statusCode: 500, error: 'Internal server error', message: error.message };
+    }
+  });
+
+  const succeeded = results.filter((result) => result.statusCode === 200).length;
+  return { count: results.length, succeeded, failed: results.length - succeeded, results };
+}
+
+/**
+ * Convert a /generate response into a batch result
+ * JSON responses (errors, base64 and page output) are inlined; binary and SVG
+ * responses become { data (base64), mimeType, fileName }
+ * @param {number} index - Item position in the batch
+ * @param {Object} response - API Gateway response from the render pipeline
+ * @param {number} timestamp - Batch timestamp used in file names
+ * @returns {Object} Batch result
+ */
+function toBatchResult(index, response, timestamp) {
+  const headers = response.headers || {};
+  const contentType = headers['Content-Type'];
+  const result = {
+    index,
+    statusCode: response.statusCode,
+    ...(headers['X-Detected-Language'] && { detectedLanguage: headers['X-Detected-Language'] }),
+    ...(headers['X-Page-Count'] && { pageCount: Number(headers['X-Page-Count']) }),
+  };
+
+  if (contentType === 'application/json') {
+    return { ...result, ...JSON.parse(response.body) };
+  }
+
+  return {
+    ...result,
+    data: response.isBase64Encoded
+      ? response.body
+      : Buffer.from(response.body, 'utf8').toString('base64'),
+    mimeType: contentType,
+    fileName: `code-${timestamp}-${index + 1}.${getFileExtension(contentType)}`,
+  };
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+module.exports = {
+  isBatchRoute,
+  validateBatchRequest,
+  renderBatch,
+};
@@ -0,0 +1,115 @@
+/**
+ * Custom Theme Validation
+ * Validates inline VS Code / TextMate theme JSON sent as the `theme` request field
+ * and normalizes it into a Shiki theme registration
+ */
+
+const crypto = require('crypto');
+
+// Upper bound on the serialized theme size (bundled VS Code themes are ~50KB)
+const MAX_THEME_BYTES = 256 * 1024;
+
+// #rgb, #rgba, #rrggbb or #rrggbbaa
+const HEX_COLOR = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const FONT_STYLE = /^(\s*(italic|bold|underline|strikethrough)\s*)*$/;
+
+/**
+ * Validate a custom theme object
+ * @param {Object} theme - VS Code theme JSON ({ name?, type?, colors?, tokenColors })
+ * @returns {Object} { theme } with a Shiki-ready registration, or { error }
+ */
+function validateCustomTheme(theme) {
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    return { error: 'Invalid theme. Must be a theme name or a theme object' };
+  }
+
+  const serialized = JSON.stringify(theme);
+  if (Buffer.byteLength(serialized) > MAX_THEME_BYTES) {
+    return {
+      error: `Invalid theme. Custom themes may be at most ${MAX_THEME_BYTES / 1024}KB`,
+    };
+  }
+
+  // TextMate themes use `settings`, VS Code themes use `tokenColors`
+  const tokenColors = theme.tokenColors || theme.settings;
+  if (!Array.isArray(tokenColors) || tokenColors.length === 0) {
+    return {
+      error: 'Invalid theme. Custom themes must include a non-empty "tokenColors" array',
+    };
+  }
+
+  for (const [index, rule] of tokenColors.entries()) {
+    const ruleError = validateTokenColorRule(rule, index);
+    if (ruleError) {
+      return { error: ruleError };
+    }
+  }
+
+  const colors = theme.colors || {};
+  if (typeof colors !== 'object' || Array.isArray(colors)) {
+    return { error: 'Invalid theme. "colors" must be an object' };
+  }
+  for (const [key, value] of Object.entries(colors)) {
+    if (typeof value !== 'string' || !HEX_COLOR.test(value)) {
+      return {
+        error: `Invalid theme color "${key}": ${JSON.stringify(value)}. Use hex colors`,
+      };
+    }
+  }
+
+  if (theme.type !== undefined && theme.type !== 'dark' && theme.type !== 'light') {
+    return { error: 'Invalid theme. "type" must be "dark" or "light"' };
+  }
+
+  // Name by content hash so identical uploads share one loaded theme
+  const hash = crypto.createHash('sha256').update(serialized).digest('hex');
+
+  return {
+    theme: {
+      name: `custom-${hash.slice(0, 16)}`,
+      displayName: typeof theme.name === 'string' ? theme.name : undefined,
+      type: theme.type || 'dark',
+      colors,
+      tokenColors,
+    },
+  };
+}
+
+/**
+ * Validate one tokenColors entry
+ * @param {Object} rule - { name?, scope?, settings: { foreground?, background?, fontStyle? } }
+ * @param {number} index - Position in tokenColors (for error messages)
+ * @returns {string|null} Error message or null when valid
+ */
+function validateTokenColorRule(rule, index) {
+  if (!rule || typeof rule !== 'object' || !rule.settings || typeof rule.settings !== 'object') {
+    return `Invalid theme tokenColors[${index}]. Each rule needs a "settings" object`;
+  }
+
+  const { scope, settings } = rule;
+  const validScope =
+    scope === undefined ||
+    typeof scope === 'string' ||
+    (Array.isArray(scope) && scope.every((item) => typeof item === 'string'));
+  if (!validScope) {
+    return `Invalid theme tokenColors[${index}].scope. Must be a string or array of strings`;
+  }
+
+  for (const key of ['foreground', 'background']) {
+    if (settings[key] !== undefined && !HEX_COLOR.test(String(settings[key]))) {
+      return `Invalid theme tokenColors[${index}].settings.${key}. Use hex colors`;
+    }
+  }
+
+  if (
+    settings.fontStyle !== undefined &&
+    (typeof settings.fontStyle !== 'string' || !FONT_STYLE.test(settings.fontStyle))
+  ) {
+    return `Invalid theme tokenColors[${index}].settings.fontStyle`;
+  }
+
+  return null;
+}
+
+module.exports = { validateCustomTheme };
@@ -0,0 +1,53 @@
+/**
+ * Token Hashing
+ * API tokens are stored and looked up by hash only: HMAC-SHA256 with a server-side
+ * pepper (TOKEN_PEPPER, required). A short prefix identifies a token in logs and the
+ * database without revealing it
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_PEPPER = process.env.TOKEN_PEPPER || '';
+
+// Characters of a token kept for identification (e.g. "sk_live_4f")
+const TOKEN_PREFIX_LENGTH = 10;
+
+/**
+ * Ensure a pepper is configured
+ * Unpeppered SHA-256 hashes of a leaked table can be checked against guessed tokens
+ * offline, so tokens are never hashed without one
+ * @param {string} pepper - Server-side secret (defaults to TOKEN_PEPPER)
+ * @throws {Error} When the pepper is empty
+ */
+function assertTokenPepper(pepper = TOKEN_PEPPER) {
+  if (!pepper) {
+    throw new Error('TOKEN_PEPPER environment variable is not set');
+  }
+}
+
+/**
+ * Hash an API token for storage and lookup
+ * @param {string} token - Plain API token
+ * @param {string} pepper - Server-side secret (defaults to TOKEN_PEPPER)
+ * @returns {string} Hex digest (64 characters)
+ * @throws {Error} When no pepper is configured
+ */
+function hashToken(token, pepper = TOKEN_PEPPER) {
+  assertTokenPepper(pepper);
+  return crypto.createHmac('sha256', pepper).update(token, 'utf8').digest('hex');
+}
+
+/**
+ * Get the identifying prefix of a token (safe to log and store)
+ * @param {string} token - Plain API token
+ * @returns {string} First characters of the token
+ */
+function getTokenPrefix(token) {
+  return String(token).slice(0, TOKEN_PREFIX_LENGTH);
+}
+
+module.exports = {
+  assertTokenPepper,
+  hashToken,
+  getTokenPrefix,
+};
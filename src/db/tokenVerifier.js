@@ -1,11 +1,14 @@
 /**
  * Token Verification Module
  * Verifies API tokens against PostgreSQL database with in-memory caching
+ * Tokens are only handled as hashes (see tokenHash.js): the database stores
+ * token_hash and token_prefix, and the cache is keyed by hash
  */
 
 const { query } = require('./connectionPool');
+const { hashToken, getTokenPrefix } = require('./tokenHash');
 
-// Module-level cache (persists across warm Lambda invocations)
+// Module-level cache keyed by token hash (persists across warm Lambda invocations)
 const tokenCache = new Map();
 
 // Cache TTL in milliseconds (default: 5 minutes)
@@ -14,7 +17,8 @@ const CACHE_TTL = parseInt(process.env.TOKEN_CACHE_TTL || '300', 10) * 1000;
 /**
  * Cache entry structure:
  * {
- *   result: { isValid: boolean, userId: string, expiresAt: Date, isActive: boolean },
+ *   result: { isValid: boolean, userId: string, expiresAt: Date, isActive: boolean,
+ *             tokenHash: string, monthlyQuota: number | null, rateLimitPerMinute: number | null },
  *   cachedAt: number (timestamp)
  * }
  */
@@ -22,7 +26,7 @@ const CACHE_TTL = parseInt(process.env.TOKEN_CACHE_TTL || '300', 10) * 1000;
 /**
  * Verify an API token
  * @param {string} token - The API token to verify
- * @returns {Promise<Object>} Verification result: { isValid: boolean, userId: string | null, error?: string }
+ * @returns {Promise<Object>} Verification result: { isValid: boolean, userId: string | null, error?: string, statusCode?: number }
  */
 async function verifyToken(token) {
   if (!token || typeof token !== 'string') {
@@ -33,8 +37,10 @@ async function verifyToken(token) {
     };
   }
 
+  const tokenHash = hashToken(token);
+
   // Check cache first
-  const cached = tokenCache.get(token);
+  const cached = tokenCache.get(tokenHash);
   if (cached) {
     const now = Date.now();
     const cacheAge = now - cached.cachedAt;
@@ -46,7 +52,7 @@ async function verifyToken(token) {
         const tokenExpired = new Date(cached.result.expiresAt) < new Date();
         if (tokenExpired) {
           // Token expired, remove from cache and query DB
-          tokenCache.delete(token);
+          tokenCache.delete(tokenHash);
         } else {
           // Cache hit - return cached result
           return cached.result;
@@ -57,17 +63,21 @@ async function verifyToken(token) {
       }
     } else {
       // Cache expired, remove it
-      tokenCache.delete(token);
+      tokenCache.delete(tokenHash);
     }
   }
 
   // Cache miss or expired - query database
   try {
-    const result = await queryDatabase(token);
+    const result = await queryDatabase(tokenHash);
+
+    if (!result.isValid) {
+      console.log(`Token ${getTokenPrefix(token)}... rejected: ${result.error}`);
+    }
 
     // Only cache valid tokens (to avoid caching invalid tokens indefinitely)
     if (result.isValid) {
-      tokenCache.set(token, {
+      tokenCache.set(tokenHash, {
         result,
         cachedAt: Date.now(),
       });
@@ -75,39 +85,44 @@ async function verifyToken(token) {
 
     return result;
   } catch (error) {
-    console.error('Error verifying token:', error);
-    // Don't cache errors - return error result
+    console.error(`Error verifying token ${getTokenPrefix(token)}...:`, error);
+    // Don't cache errors - return error result (503: the token itself may be fine)
     return {
       isValid: false,
       userId: null,
       error: 'Token verification failed',
+      statusCode: 503,
     };
   }
 }
 
 /**
  * Query database for token verification
- * @param {string} token - The API token to verify
+ * @param {string} tokenHash - Hash of the API token (hashToken)
  * @returns {Promise<Object>} Verification result
  */
-async function queryDatabase(token) {
+async function queryDatabase(tokenHash) {
   try {
     // Query tokens table
-    // IMPORTANT: Adjust this query to match your actual database schema
-    // Expected table structure:
-    //   - Table name: api_tokens (or your table name)
-    //   - Columns: token (or token_hash), user_id, expires_at, is_active, created_at
-    // If your table/columns differ, update the query below accordingly
+    // Expected table structure (see migrations/001_hash_api_tokens.sql and 002_token_limits.sql):
+    //   - Table name: api_tokens
+    //   - Columns: token_hash, token_prefix, user_id, expires_at, is_active, created_at,
+    //     monthly_quota, rate_limit_per_minute
+    // Rows with a plaintext token column must be hashed first:
+    //   npm run migrate:token-hashes
     const result = await query(
       `SELECT 
         user_id,
+        token_prefix,
         expires_at,
         is_active,
-        created_at
+        created_at,
+        monthly_quota,
+        rate_limit_per_minute
       FROM api_tokens
-      WHERE token = $1 OR token_hash = $1
+      WHERE token_hash = $1
       LIMIT 1`,
-      [token]
+      [tokenHash]
     );
 
     if (result.rows.length === 0) {
@@ -147,6 +162,10 @@ async function queryDatabase(token) {
       expiresAt: tokenRecord.expires_at,
       isActive: tokenRecord.is_active,
       createdAt: tokenRecord.created_at,
+      tokenPrefix: tokenRecord.token_prefix,
+      tokenHash,
+      monthlyQuota: tokenRecord.monthly_quota,
+      rateLimitPerMinute: tokenRecord.rate_limit_per_minute,
     };
   } catch (error) {
     console.error('Database query error:', error);
@@ -0,0 +1,239 @@
+/**
+ * Token Usage Limits
+ * Monthly quotas and per-minute rate limits for PostgreSQL tokens
+ * (tables from migrations/002_token_limits.sql):
+ *   - Monthly quota: successful renders per calendar month (UTC). Units are reserved
+ *     atomically when a request is admitted (checkTokenLimits) and refunded for renders
+ *     that fail (settleTokenUsage)
+ *   - Rate limit: sliding window over the current and previous minute, counted
+ *     when a request is admitted (checkTokenLimits)
+ */
+
+const { query } = require('./connectionPool');
+
+// Limits for tokens whose columns are NULL (0 = unlimited)
+const DEFAULT_MONTHLY_QUOTA = parseInt(process.env.TOKEN_MONTHLY_QUOTA || '0', 10);
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.TOKEN_RATE_LIMIT_PER_MINUTE || '0', 10);
+
+const WINDOW_MS = 60 * 1000;
+
+// Same messages as the JAAS client, so clients see one error per condition
+const QUOTA_EXCEEDED_ERROR = 'Monthly quota exceeded. Please upgrade your plan or wait for quota reset.';
+const RATE_LIMITED_ERROR = 'Rate limit exceeded. Please try again later.';
+
+/**
+ * Check a token's limits before rendering: reserve the requested units against the
+ * monthly quota and admit the request into its rate window
+ * @param {Object} token - Valid verifyToken result (tokenHash, monthlyQuota, rateLimitPerMinute)
+ * @param {number} units - Renders requested (batch items)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { allowed, reservation?, rateLimit?, error?, retryAfter? }
+ *   reservation: { periodStart, units } to settle with settleTokenUsage after rendering.
+ *   rateLimit: { limit, remaining, reset } (reset in epoch seconds) for the monthly
+ *   quota when one is set, otherwise for the per-minute limit; on rejection, for the
+ *   limit that was hit. retryAfter: seconds until the request can succeed
+ */
+async function checkTokenLimits(token, units, now = new Date()) {
+  const { monthlyQuota, rateLimitPerMinute } = getTokenLimits(token);
+  const periodStart = getPeriodStart(now);
+
+  const used = await reserveMonthlyUnits(token.tokenHash, periodStart, units, monthlyQuota);
+  if (used === null) {
+    const quota = describeLimit(
+      monthlyQuota,
+      monthlyQuota - (await getMonthlyUsage(token.tokenHash, periodStart)),
+      getPeriodEnd(now)
+    );
+    return {
+      allowed: false,
+      error: QUOTA_EXCEEDED_ERROR,
+      rateLimit: quota,
+      retryAfter: secondsUntil(quota.reset, now),
+    };
+  }
+
+  const reservation = { periodStart, units };
+  const quota = monthlyQuota > 0 ? describeLimit(monthlyQuota, monthlyQuota - used, getPeriodEnd(now)) : null;
+
+  if (rateLimitPerMinute > 0) {
+    const window = await admitToWindow(token.tokenHash, units, rateLimitPerMinute, now);
+    if (!window.admitted) {
+      await releaseMonthlyUnits(token.tokenHash, periodStart, units);
+      return {
+        allowed: false,
+        error: RATE_LIMITED_ERROR,
+        rateLimit: window.rateLimit,
+        retryAfter: secondsUntil(window.rateLimit.reset, now),
+      };
+    }
+    return { allowed: true, reservation, rateLimit: quota || window.rateLimit };
+  }
+
+  return { allowed: true, reservation, rateLimit: quota };
+}
+
+/**
+ * Settle a reservation after rendering: units that didn't produce a successful
+ * render are refunded to the monthly quota
+ * @param {Object} token - Valid verifyToken result
+ * @param {Object} reservation - { periodStart, units } from checkTokenLimits
+ * @param {number} succeeded - Renders that succeeded
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Updated monthly rateLimit, or null when nothing was
+ *   refunded or the token has no quota
+ */
+async function settleTokenUsage(token, reservation, succeeded, now = new Date()) {
+  const refund = reservation.units - succeeded;
+  if (refund <= 0) {
+    return null;
+  }
+
+  const used = await releaseMonthlyUnits(token.tokenHash, reservation.periodStart, refund);
+  const { monthlyQuota } = getTokenLimits(token);
+  if (!(monthlyQuota > 0) || used === null) {
+    return null;
+  }
+  return describeLimit(monthlyQuota, monthlyQuota - used, getPeriodEnd(now));
+}
+
+/**
+ * Add units to a token's monthly usage unless that would exceed its quota
+ * The check and the increment are one statement (the conflicting row is locked),
+ * so concurrent requests can't both take the last units
+ * @param {string} tokenHash - Token hash
+ * @param {string} periodStart - First day of the month (YYYY-MM-DD)
+ * @param {number} units - Units to reserve
+ * @param {number} monthlyQuota - Units allowed per month (0 = unlimited)
+ * @returns {Promise<number|null>} Units used this month including these, or null when
+ *   the quota can't cover them
+ */
+async function reserveMonthlyUnits(tokenHash, periodStart, units, monthlyQuota) {
+  const result = await query(
+    `INSERT INTO api_token_usage (token_hash, period_start, request_count)
+    SELECT $1, $2::date, $3::int
+    WHERE $4::int = 0 OR $3::int <= $4::int
+    ON CONFLICT (token_hash, period_start) DO UPDATE
+    SET request_count = api_token_usage.request_count + EXCLUDED.request_count,
+      updated_at = now()
+    WHERE $4::int = 0 OR api_token_usage.request_count + EXCLUDED.request_count <= $4::int
+    RETURNING request_count`,
+    [tokenHash, periodStart, units, monthlyQuota]
+  );
+  return result.rows.length > 0 ? result.rows[0].request_count : null;
+}
+
+/**
+ * Return reserved units to a token's monthly usage
+ * @returns {Promise<number|null>} Units used this month afterwards, or null without a row
+ */
+async function releaseMonthlyUnits(tokenHash, periodStart, units) {
+  const result = await query(
+    `UPDATE api_token_usage
+    SET request_count = GREATEST(request_count - $3::int, 0), updated_at = now()
+    WHERE token_hash = $1 AND period_start = $2::date
+    RETURNING request_count`,
+    [tokenHash, periodStart, units]
+  );
+  return result.rows.length > 0 ? result.rows[0].request_count : null;
+}
+
+/**
+ * Count a request in the token's current minute unless the sliding window is full
+ * The window estimate is the current minute's count plus the previous minute's,
+ * weighted by how much of it still overlaps the last 60 seconds. The check and
+ * the increment are one statement, so concurrent requests can't both take the last slot
+ * @param {string} tokenHash - Token hash
+ * @param {number} units - Requests to count
+ * @param {number} limit - Requests allowed per minute
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { admitted, rateLimit }
+ */
+async function admitToWindow(tokenHash, units, limit, now) {
+  const windowStart = Math.floor(now.getTime() / WINDOW_MS) * WINDOW_MS;
+  const previousWeight = 1 - (now.getTime() - windowStart) / WINDOW_MS;
+  const reset = Math.ceil((windowStart + WINDOW_MS) / 1000);
+
+  const result = await query(
+    `WITH previous AS (
+      SELECT COALESCE(SUM(request_count), 0) AS request_count
+      FROM api_token_rate_windows
+      WHERE token_hash = $1 AND window_start = $3::timestamptz
+    )
+    INSERT INTO api_token_rate_windows (token_hash, window_start, request_count)
+    SELECT $1, $2::timestamptz, $4::int
+    FROM previous
+    WHERE $4::int + previous.request_count * $5::float8 <= $6::int
+    ON CONFLICT (token_hash, window_start) DO UPDATE
+    SET request_count = api_token_rate_windows.request_count + EXCLUDED.request_count
+    WHERE api_token_rate_windows.request_count + EXCLUDED.request_count
+      + (SELECT request_count FROM previous) * $5::float8 <= $6::int
+    RETURNING request_count, (SELECT request_count FROM previous) AS previous_count`,
+    [
+      tokenHash,
+      new Date(windowStart),
+      new Date(windowStart - WINDOW_MS),
+      units,
+      previousWeight,
+      limit,
+    ]
+  );
+
+  if (result.rows.length === 0) {
+    return { admitted: false, rateLimit: describeLimit(limit, 0, reset) };
+  }
+
+  const { request_count: count, previous_count: previousCount } = result.rows[0];
+  if (count === units) {
+    // First request of a new minute: drop this token's windows that no longer count
+    await query(
+      `DELETE FROM api_token_rate_windows WHERE token_hash = $1 AND window_start < $2`,
+      [tokenHash, new Date(windowStart - WINDOW_MS)]
+    );
+  }
+
+  const estimate = count + Number(previousCount) * previousWeight;
+  return { admitted: true, rateLimit: describeLimit(limit, Math.floor(limit - estimate), reset) };
+}
+
+async function getMonthlyUsage(tokenHash, periodStart) {
+  const result = await query(
+    `SELECT request_count FROM api_token_usage WHERE token_hash = $1 AND period_start = $2::date`,
+    [tokenHash, periodStart]
+  );
+  return result.rows.length > 0 ? result.rows[0].request_count : 0;
+}
+
+/**
+ * Resolve a token's limits (NULL columns use the environment defaults)
+ * @param {Object} token - verifyToken result
+ * @returns {Object} { monthlyQuota, rateLimitPerMinute } (0 = unlimited)
+ */
+function getTokenLimits(token) {
+  return {
+    monthlyQuota: token.monthlyQuota ?? DEFAULT_MONTHLY_QUOTA,
+    rateLimitPerMinute: token.rateLimitPerMinute ?? DEFAULT_RATE_LIMIT_PER_MINUTE,
+  };
+}
+
+function describeLimit(limit, remaining, reset) {
+  return { limit, remaining: Math.max(0, remaining), reset };
+}
+
+// First day of the current UTC month, as a DATE literal
+function getPeriodStart(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString().slice(0, 10);
+}
+
+// Start of the next UTC month, in epoch seconds
+function getPeriodEnd(now) {
+  return Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1) / 1000;
+}
+
+function secondsUntil(reset, now) {
+  return Math.max(1, Math.ceil(reset - now.getTime() / 1000));
+}
+
+module.exports = {
+  checkTokenLimits,
+  settleTokenUsage,
+};
@@ -0,0 +1,116 @@
+/**
+ * Bundled Fonts
+ * Monospace fonts shipped with the deployment (via @fontsource packages) and
+ * embedded as base64 @font-face rules, so rendering never needs network access
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FONT_FAMILY = 'fira-code';
+
+// Font id -> display name and @fontsource package
+const FONT_FAMILIES = {
+  'fira-code': { name: 'Fira Code', package: '@fontsource/fira-code' },
+  'jetbrains-mono': { name: 'JetBrains Mono', package: '@fontsource/jetbrains-mono' },
+  'cascadia-code': { name: 'Cascadia Code', package: '@fontsource/cascadia-code' },
+  'source-code-pro': { name: 'Source Code Pro', package: '@fontsource/source-code-pro' },
+  'ibm-plex-mono': { name: 'IBM Plex Mono', package: '@fontsource/ibm-plex-mono' },
+};
+
+// Faces embedded per family (Shiki themes only use regular/bold and italic)
+const FONT_FACES = [
+  { weight: 400, style: 'normal' },
+  { weight: 700, style: 'normal' },
+  { weight: 400, style: 'italic' },
+  { weight: 700, style: 'italic' },
+];
+
+// Only the latin subset is embedded to keep documents small; other scripts
+// fall back to the generic monospace font
+const FONT_SUBSET = 'latin';
+
+const GENERIC_FALLBACK = "'Courier New', monospace";
+
+// Module-level cache of generated @font-face CSS (persists across warm Lambda invocations)
+const fontFaceCache = new Map();
+
+/**
+ * Resolve a requested font family to a bundled font id
+ * Accepts ids ("jetbrains-mono") and display names ("JetBrains Mono"), case-insensitively
+ * @param {string} fontFamily - Requested font family
+ * @returns {string|null} Font id or null when the font is not bundled
+ */
+function resolveFontFamily(fontFamily) {
+  if (typeof fontFamily !== 'string') {
+    return null;
+  }
+  const id = fontFamily.trim().toLowerCase().replace(/\s+/g, '-');
+  return Object.hasOwn(FONT_FAMILIES, id) ? id : null;
+}
+
+/**
+ * Get the CSS font-family stack for a bundled font
+ * @param {string} fontId - Bundled font id
+ * @returns {string} CSS font-family value
+ */
+function getFontStack(fontId = DEFAULT_FONT_FAMILY) {
+  const family = FONT_FAMILIES[fontId] || FONT_FAMILIES[DEFAULT_FONT_FAMILY];
+  return `'${family.name}', ${GENERIC_FALLBACK}`;
+}
+
+/**
+ * Get @font-face rules embedding the font files as base64 data URLs
+ * @param {string} fontId - Bundled font id
+ * @returns {string} CSS @font-face rules
+ */
+function getFontFaceCss(fontId = DEFAULT_FONT_FAMILY) {
+  const id = FONT_FAMILIES[fontId] ? fontId : DEFAULT_FONT_FAMILY;
+
+  if (fontFaceCache.has(id)) {
+    return fontFaceCache.get(id);
+  }
+
+  const family = FONT_FAMILIES[id];
+  const filesDir = path.join(
+    path.dirname(require.resolve(`${family.package}/package.json`)),
+    'files'
+  );
+
+  const rules = [];
+  for (const face of FONT_FACES) {
+    const filePath = path.join(
+      filesDir,
+      `${id}-${FONT_SUBSET}-${face.weight}-${face.style}.woff2`
+    );
+    // Not every family ships every face (e.g. Fira Code has no italics)
+    if (!fs.existsSync(filePath)) {
+      continue;
+    }
+    const data = fs.readFileSync(filePath).toString('base64');
+    rules.push(
+      `@font-face { font-family: '${family.name}'; font-style: ${face.style}; ` +
+        `font-weight: ${face.weight}; src: url(data:font/woff2;base64,${data}) format('woff2'); }`
+    );
+  }
+
+  const css = rules.join('\n');
+  fontFaceCache.set(id, css);
+  return css;
+}
+
+/**
+ * List bundled font ids (for validation messages)
+ * @returns {string[]} Font ids
+ */
+function getAvailableFonts() {
+  return Object.keys(FONT_FAMILIES);
+}
+
+module.exports = {
+  DEFAULT_FONT_FAMILY,
+  resolveFontFamily,
+  getFontStack,
+  getFontFaceCss,
+  getAvailableFonts,
+};
@@ -0,0 +1,115 @@
+/**
+ * Output Formats
+ * Validates the requested output format and describes how it is rendered
+ * (vector SVG, a Puppeteer raster screenshot or a Puppeteer PDF) and returned
+ */
+
+// Screenshot types supported by Puppeteer
+const RASTER_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png' },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+};
+
+// Vector documents printed by Puppeteer
+const DOCUMENT_FORMATS = {
+  pdf: { mimeType: 'application/pdf', extension: 'pdf' },
+};
+
+const FORMAT_ALIASES = {
+  jpg: 'jpeg',
+};
+
+const DEFAULT_QUALITY = 90;
+
+// File extensions of every response file type (including ZIP archives of pages)
+const FILE_EXTENSIONS = {
+  'image/svg+xml': 'svg',
+  'application/zip': 'zip',
+  ...Object.fromEntries(
+    Object.values({ ...RASTER_FORMATS, ...DOCUMENT_FORMATS }).map((format) => [
+      format.mimeType,
+      format.extension,
+    ])
+  ),
+};
+
+/**
+ * Validate output format options from the request body
+ * @param {Object} fields - { format, base64Format, quality }
+ *   base64Format selects the file type carried by format "base64" (default png)
+ * @returns {Object} { output } on success or { error } on invalid input
+ *   output: { format, renderer: 'svg' | 'raster' | 'pdf', type?, base64: boolean, mimeType, extension, quality? }
+ */
+function validateOutputFormat({ format = 'svg', base64Format, quality } = {}) {
+  const normalizedFormat = FORMAT_ALIASES[format] || format;
+
+  if (normalizedFormat === 'svg') {
+    return {
+      output: {
+        format: 'svg',
+        renderer: 'svg',
+        base64: false,
+        mimeType: 'image/svg+xml',
+        extension: 'svg',
+      },
+    };
+  }
+
+  const fileTypes = [...Object.keys(RASTER_FORMATS), ...Object.keys(DOCUMENT_FORMATS)];
+
+  let type = normalizedFormat;
+  if (normalizedFormat === 'base64') {
+    type = FORMAT_ALIASES[base64Format] || base64Format || 'png';
+    if (!fileTypes.includes(type)) {
+      return {
+        error: `Invalid base64Format. Must be one of: ${fileTypes.join(', ')}`,
+      };
+    }
+  } else if (!fileTypes.includes(type)) {
+    return {
+      error: `Invalid format. Must be one of: svg, ${fileTypes.join(', ')}, base64`,
+    };
+  }
+
+  const isRaster = Boolean(RASTER_FORMATS[type]);
+  const output = {
+    format: normalizedFormat,
+    renderer: isRaster ? 'raster' : type,
+    type,
+    base64: normalizedFormat === 'base64',
+    ...(isRaster ? RASTER_FORMATS[type] : DOCUMENT_FORMATS[type]),
+  };
+
+  // PNG and PDF are lossless; quality only applies to JPEG and WebP
+  const lossy = type === 'jpeg' || type === 'webp';
+  if (quality !== undefined && quality !== null) {
+    if (!lossy) {
+      return { error: 'Invalid quality. Only supported for jpeg and webp output' };
+    }
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      return { error: 'Invalid quality. Must be an integer between 1 and 100' };
+    }
+  }
+  if (lossy) {
+    output.quality = quality || DEFAULT_QUALITY;
+  }
+
+  return { output };
+}
+
+/**
+ * Get the file extension of a response MIME type
+ * @param {string} mimeType - e.g. 'image/png'
+ * @returns {string} Extension without the dot ('bin' for unknown types)
+ */
+function getFileExtension(mimeType) {
+  return FILE_EXTENSIONS[mimeType] || 'bin';
+}
+
+module.exports = {
+  RASTER_FORMATS,
+  DOCUMENT_FORMATS,
+  validateOutputFormat,
+  getFileExtension,
+};
@@ -0,0 +1,159 @@
+/**
+ * Output Frame
+ * Validates output scale / width / aspect-ratio / padding options and computes the frame
+ * the code card is centered in, with a server-side cap on total output pixels
+ */
+
+const DEFAULT_SCALE = 2;
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const MIN_FRAME_WIDTH = 320;
+const MAX_FRAME_WIDTH = 4096;
+const DEFAULT_PADDING = 64;
+const MIN_PADDING = 0;
+const MAX_PADDING = 256;
+
+// Total output pixels (width * height * scale^2) allowed per render
+const MAX_OUTPUT_PIXELS = parseInt(process.env.MAX_OUTPUT_PIXELS || '25000000', 10);
+
+// Named presets: fixed dimensions for social cards, ratios for slides
+const FRAME_PRESETS = {
+  slide: { ratio: 16 / 9 },
+  twitter: { width: 1200, height: 675 },
+  instagram: { width: 1080, height: 1080 },
+  square: { ratio: 1 },
+  portrait: { ratio: 4 / 5 },
+};
+
+/**
+ * Validate frame options from the request body, applying defaults
+ * @param {Object} fields - { scale, width, aspectRatio, padding }
+ *   aspectRatio is a preset name or a "W:H" string such as "16:9"
+ * @returns {Object} { frame } on success or { error } on invalid input
+ *   frame: { scale: number, padding: number, width?: number, height?: number, ratio?: number }
+ */
+function validateFrameOptions({ scale, width, aspectRatio, padding } = {}) {
+  const frame = { scale: DEFAULT_SCALE, padding: DEFAULT_PADDING };
+
+  // Padding ends up in SVG attributes and CSS, so only integers are accepted
+  if (padding !== undefined && padding !== null) {
+    if (!Number.isInteger(padding) || padding < MIN_PADDING || padding > MAX_PADDING) {
+      return {
+        error: `Invalid padding. Must be an integer between ${MIN_PADDING} and ${MAX_PADDING}`,
+      };
+    }
+    frame.padding = padding;
+  }
+
+  if (scale !== undefined && scale !== null) {
+    if (typeof scale !== 'number' || !(scale >= MIN_SCALE && scale <= MAX_SCALE)) {
+      return { error: `Invalid scale. Must be a number between ${MIN_SCALE} and ${MAX_SCALE}` };
+    }
+    frame.scale = scale;
+  }
+
+  if (width !== undefined && width !== null) {
+    if (!Number.isInteger(width) || width < MIN_FRAME_WIDTH || width > MAX_FRAME_WIDTH) {
+      return {
+        error: `Invalid width. Must be an integer between ${MIN_FRAME_WIDTH} and ${MAX_FRAME_WIDTH}`,
+      };
+    }
+    frame.width = width;
+  }
+
+  if (aspectRatio !== undefined && aspectRatio !== null) {
+    const presetName = typeof aspectRatio === 'string' && aspectRatio.toLowerCase();
+    const preset = Object.hasOwn(FRAME_PRESETS, presetName) && FRAME_PRESETS[presetName];
+    const ratioMatch =
+      typeof aspectRatio === 'string' && aspectRatio.match(/^\s*(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)\s*$/);
+
+    if (preset && preset.ratio) {
+      frame.ratio = preset.ratio;
+    } else if (preset) {
+      // Fixed-size presets win over an explicit width
+      frame.width = preset.width;
+      frame.height = preset.height;
+    } else if (ratioMatch && Number(ratioMatch[1]) > 0 && Number(ratioMatch[2]) > 0) {
+      frame.ratio = Number(ratioMatch[1]) / Number(ratioMatch[2]);
+    } else {
+      return {
+        error: `Invalid aspectRatio. Use "W:H" (e.g. "16:9") or one of: ${Object.keys(FRAME_PRESETS).join(', ')}`,
+      };
+    }
+
+    if (frame.ratio && (frame.ratio < 0.25 || frame.ratio > 4)) {
+      return { error: 'Invalid aspectRatio. Must be between 1:4 and 4:1' };
+    }
+  }
+
+  if (frame.width && frame.ratio) {
+    frame.height = Math.round(frame.width / frame.ratio);
+  }
+
+  return { frame };
+}
+
+/**
+ * Compute the frame for content of the given size
+ * Content larger than a fixed frame is scaled down to fit; otherwise the frame
+ * grows around the content (keeping the requested ratio) and the card is centered
+ * @param {number} contentWidth - Natural width of the padded code window
+ * @param {number} contentHeight - Natural height of the padded code window
+ * @param {Object} frame - Validated frame options
+ * @returns {Object} { width, height, contentScale, offsetX, offsetY }
+ */
+function computeFrame(contentWidth, contentHeight, frame = {}) {
+  let width = contentWidth;
+  let height = contentHeight;
+  let contentScale = 1;
+
+  if (frame.width && frame.height) {
+    width = frame.width;
+    height = frame.height;
+    contentScale = Math.min(1, width / contentWidth, height / contentHeight);
+  } else if (frame.width) {
+    width = frame.width;
+    contentScale = Math.min(1, width / contentWidth);
+    height = Math.ceil(contentHeight * contentScale);
+  } else if (frame.ratio) {
+    width = Math.max(contentWidth, contentHeight * frame.ratio);
+    height = width / frame.ratio;
+  }
+
+  width = Math.ceil(width);
+  height = Math.ceil(height);
+
+  return {
+    width,
+    height,
+    contentScale,
+    offsetX: (width - contentWidth * contentScale) / 2,
+    offsetY: (height - contentHeight * contentScale) / 2,
+  };
+}
+
+/**
+ * Check a render against the output pixel budget
+ * @param {number} width - Frame width in CSS pixels
+ * @param {number} height - Frame height in CSS pixels
+ * @param {number} scale - Device scale factor
+ * @throws {Error} With statusCode 413 when the output would exceed MAX_OUTPUT_PIXELS
+ */
+function assertWithinPixelBudget(width, height, scale = 1) {
+  const pixels = Math.ceil(width * scale) * Math.ceil(height * scale);
+  if (pixels > MAX_OUTPUT_PIXELS) {
+    const error = new Error(
+      `Requested image is too large (${Math.ceil(width * scale)}x${Math.ceil(height * scale)} pixels). ` +
+        `Reduce the scale, width or amount of code (limit: ${MAX_OUTPUT_PIXELS} pixels)`
+    );
+    error.statusCode = 413;
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_SCALE,
+  validateFrameOptions,
+  computeFrame,
+  assertWithinPixelBudget,
+};
@@ -0,0 +1,329 @@
+/**
+ * Shiki Highlighter Manager
+ * Creates one highlighter per warm Lambda container with preloaded grammars/themes,
+ * lazily loads anything else and bounds the number of extra entries with an LRU
+ */
+
+// Languages/themes loaded when the container starts (comma separated overrides)
+const DEFAULT_PRELOAD_LANGS = [
+  'javascript',
+  'typescript',
+  'python',
+  'java',
+  'c',
+  'cpp',
+  'csharp',
+  'go',
+  'rust',
+  'ruby',
+  'php',
+  'html',
+  'css',
+  'json',
+  'yaml',
+  'markdown',
+  'sql',
+  'bash',
+];
+const DEFAULT_PRELOAD_THEMES = [
+  'github-dark',
+  'github-light',
+  'dracula',
+  'monokai',
+  'nord',
+  'one-dark-pro',
+  'tokyo-night',
+  'catppuccin-mocha',
+];
+
+const PRELOAD_LANGS = parseList(process.env.SHIKI_PRELOAD_LANGS, DEFAULT_PRELOAD_LANGS);
+const PRELOAD_THEMES = parseList(process.env.SHIKI_PRELOAD_THEMES, DEFAULT_PRELOAD_THEMES);
+
+// Maximum number of lazily loaded languages + themes kept on top of the preloaded set
+const MAX_LAZY_ENTRIES = parseInt(process.env.SHIKI_MAX_LAZY_ENTRIES || '24', 10);
+
+// Module-level state (persists across warm Lambda invocations)
+let shikiModule = null;
+let highlighterPromise = null;
+let currentHighlighter = null;
+
+// Lazily loaded entries of the current highlighter in least-recently-used order:
+// key -> { type, name, source? }
+// `source` holds the registration of custom themes so they survive a rebuild
+const lazyEntries = new Map();
+
+// Entries being loaded by concurrent requests (count towards the LRU limit)
+let pendingEntries = 0;
+
+// Renders in flight per highlighter; a highlighter replaced by a rebuild is disposed
+// once its last render finishes (batch items share the highlighter concurrently)
+const activeUses = new Map();
+const retiredHighlighters = new Set();
+
+/**
+ * Lazy load shiki (ES module)
+ * @returns {Promise<Object>} Shiki module
+ */
+async function getShiki() {
+  if (!shikiModule) {
+    shikiModule = await import('shiki');
+  }
+  return shikiModule;
+}
+
+/**
+ * Check that a language and theme can be loaded, without loading them
+ * @param {Object} options - { lang, theme } as accepted by withHighlighter
+ * @returns {Promise<string|null>} Error message, or null when both are supported
+ */
+async function checkSupport({ lang, theme } = {}) {
+  const shiki = await getShiki();
+  if (lang && !shiki.isSpecialLang(lang) && !Object.hasOwn(shiki.bundledLanguages, lang)) {
+    return `Language \`${lang}\` is not supported`;
+  }
+  // Custom theme registrations are validated by customTheme.js
+  if (
+    typeof theme === 'string' &&
+    !shiki.isSpecialTheme(theme) &&
+    !Object.hasOwn(shiki.bundledThemes, theme)
+  ) {
+    return `Theme \`${theme}\` is not supported`;
+  }
+  return null;
+}
+
+/**
+ * Run a function with a highlighter that has the requested language and theme loaded
+ * The highlighter stays usable until the function settles, even if another request
+ * rebuilds it meanwhile
+ * @param {Object} options - { lang, theme }
+ *   theme is a bundled theme name or a validated custom theme registration (see customTheme.js)
+ * @param {Function} fn - (highlighter) => result
+ * @returns {Promise<*>} Result of fn
+ */
+async function withHighlighter(options, fn) {
+  const highlighter = await getHighlighter(options);
+  try {
+    return await fn(highlighter);
+  } finally {
+    releaseHighlighter(highlighter);
+  }
+}
+
+/**
+ * Get a highlighter with the requested language and theme loaded, counted as in use
+ * (the caller must call releaseHighlighter)
+ * @param {Object} options - { lang, theme }
+ * @returns {Promise<Object>} Shiki highlighter instance
+ */
+async function getHighlighter({ lang, theme } = {}) {
+  const shiki = await getShiki();
+  const highlighter = await ensureHighlighter();
+
+  const themeName = typeof theme === 'object' && theme ? theme.name : theme;
+  const customTheme = themeName !== theme ? theme : undefined;
+
+  const missing = [];
+  if (lang && !shiki.isSpecialLang(lang) && !highlighter.getLoadedLanguages().includes(lang)) {
+    missing.push({ type: 'lang', name: lang });
+  }
+  if (
+    themeName &&
+    !shiki.isSpecialTheme(themeName) &&
+    !highlighter.getLoadedThemes().includes(themeName)
+  ) {
+    missing.push({ type: 'theme', name: themeName, source: customTheme });
+  }
+
+  touchEntry('lang', lang);
+  touchEntry('theme', themeName);
+
+  if (missing.length === 0) {
+    acquireHighlighter(highlighter);
+    return highlighter;
+  }
+
+  // Validate before loading so unknown names don't evict anything
+  for (const entry of missing) {
+    if (entry.source) continue;
+    const bundled = entry.type === 'lang' ? shiki.bundledLanguages : shiki.bundledThemes;
+    if (!Object.hasOwn(bundled, entry.name)) {
+      throw new Error(
+        entry.type === 'lang'
+          ? `Language \`${entry.name}\` is not supported`
+          : `Theme \`${entry.name}\` is not supported`
+      );
+    }
+  }
+
+  // Shiki can't unload grammars, so when the LRU overflows the highlighter is
+  // rebuilt with the preloaded set plus the most recently used entries
+  if (lazyEntries.size + pendingEntries + missing.length > MAX_LAZY_ENTRIES) {
+    return rebuildHighlighter(missing);
+  }
+
+  acquireHighlighter(highlighter);
+  pendingEntries += missing.length;
+  try {
+    for (const entry of missing) {
+      if (entry.type === 'lang') {
+        await highlighter.loadLanguage(entry.name);
+      } else {
+        await highlighter.loadTheme(entry.source || entry.name);
+      }
+    }
+  } catch (error) {
+    releaseHighlighter(highlighter);
+    throw error;
+  } finally {
+    pendingEntries -= missing.length;
+  }
+
+  // Entries are only recorded once loaded (and only for the highlighter still in use)
+  if (highlighter === currentHighlighter) {
+    for (const entry of missing) {
+      lazyEntries.set(`${entry.type}:${entry.name}`, entry);
+    }
+  }
+  return highlighter;
+}
+
+/**
+ * Replace the highlighter with one holding the preloaded set, the most recently used
+ * entries and the missing ones; the old one is disposed when its renders finish
+ * @param {Array<Object>} missing - Entries to add
+ * @returns {Promise<Object>} New highlighter, counted as in use
+ */
+async function rebuildHighlighter(missing) {
+  const entries = new Map(lazyEntries);
+  for (const entry of missing) {
+    entries.set(`${entry.type}:${entry.name}`, entry);
+  }
+  const evicted = [...entries.keys()].slice(0, Math.max(entries.size - MAX_LAZY_ENTRIES, 0));
+  evicted.forEach((key) => entries.delete(key));
+  console.log('Rebuilding Shiki highlighter, evicted:', evicted.join(', ') || 'none');
+
+  // Nothing changes if creation fails (e.g. a custom theme Shiki rejects)
+  const rebuilt = await createManagedHighlighter([...entries.values()]);
+
+  const previous = currentHighlighter;
+  currentHighlighter = rebuilt;
+  highlighterPromise = Promise.resolve(rebuilt);
+  lazyEntries.clear();
+  entries.forEach((entry, key) => lazyEntries.set(key, entry));
+  if (previous) {
+    retireHighlighter(previous);
+  }
+
+  acquireHighlighter(rebuilt);
+  return rebuilt;
+}
+
+/**
+ * Create the highlighter on first use
+ * @returns {Promise<Object>} Shiki highlighter instance
+ */
+async function ensureHighlighter() {
+  if (!highlighterPromise) {
+    highlighterPromise = createManagedHighlighter([...lazyEntries.values()]).then(
+      (highlighter) => {
+        currentHighlighter = highlighter;
+        return highlighter;
+      },
+      (error) => {
+        // Allow the next request to retry creation
+        highlighterPromise = null;
+        throw error;
+      }
+    );
+  }
+  return highlighterPromise;
+}
+
+async function createManagedHighlighter(entries) {
+  const shiki = await getShiki();
+  const lazyLangs = [];
+  const lazyThemes = [];
+  for (const entry of entries) {
+    (entry.type === 'lang' ? lazyLangs : lazyThemes).push(entry.source || entry.name);
+  }
+
+  const startedAt = Date.now();
+  const highlighter = await shiki.createHighlighter({
+    langs: [...PRELOAD_LANGS, ...lazyLangs],
+    themes: [...PRELOAD_THEMES, ...lazyThemes],
+  });
+  console.log(`Shiki highlighter created in ${Date.now() - startedAt}ms`);
+
+  return highlighter;
+}
+
+function acquireHighlighter(highlighter) {
+  activeUses.set(highlighter, (activeUses.get(highlighter) || 0) + 1);
+}
+
+/**
+ * End a use of a highlighter, disposing it if it was replaced and this was its last use
+ */
+function releaseHighlighter(highlighter) {
+  const uses = (activeUses.get(highlighter) || 1) - 1;
+  if (uses > 0) {
+    activeUses.set(highlighter, uses);
+    return;
+  }
+  activeUses.delete(highlighter);
+  if (retiredHighlighters.delete(highlighter)) {
+    highlighter.dispose();
+  }
+}
+
+function retireHighlighter(highlighter) {
+  if (activeUses.has(highlighter)) {
+    retiredHighlighters.add(highlighter);
+  } else {
+    highlighter.dispose();
+  }
+}
+
+/**
+ * Mark a lazily loaded entry as recently used
+ */
+function touchEntry(type, name) {
+  const key = `${type}:${name}`;
+  const entry = lazyEntries.get(key);
+  if (entry) {
+    lazyEntries.delete(key);
+    lazyEntries.set(key, entry);
+  }
+}
+
+function parseList(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  return value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Get highlighter statistics (useful for monitoring)
+ * @returns {Object} Highlighter statistics
+ */
+function getHighlighterStats() {
+  return {
+    preloadedLanguages: PRELOAD_LANGS.length,
+    preloadedThemes: PRELOAD_THEMES.length,
+    lazyEntries: [...lazyEntries.keys()],
+    maxLazyEntries: MAX_LAZY_ENTRIES,
+    retiredHighlighters: retiredHighlighters.size,
+  };
+}
+
+module.exports = {
+  getShiki,
+  checkSupport,
+  withHighlighter,
+  getHighlighterStats,
+};
@@ -3,31 +3,100 @@
  * Converts Shiki-highlighted code into standalone HTML with inlined CSS
  */
 
+const { DEFAULT_FONT_FAMILY, getFontStack, getFontFaceCss } = require('./fonts')
+const { DEFAULT_TYPOGRAPHY } = require('./typography')
+const { DEFAULT_START_LINE, getLineNumberGutter } = require('./lineNumbers')
+const { DEFAULT_BACKGROUND, backgroundToCss } = require('./backgrounds')
+const {
+  TITLE_FONT_SIZE,
+  DOT_GAP,
+  DOT_INSET,
+  DOT_RADIUS,
+  CAPTION_BUTTON_WIDTH,
+  ROUND_BUTTON_RADIUS,
+  ROUND_BUTTON_GAP,
+  WINDOW_BUTTON_ICONS,
+  WINDOW_BUTTONS,
+  BADGE_FONT_SIZE,
+  BADGE_HEIGHT,
+  BADGE_GAP,
+  getTitleBar
+} = require('./windowChrome')
+
+/**
+ * Build a standalone HTML document for a single code window
+ * @param {string} highlightedCode - Shiki HTML
+ * @param {Object} options - Styling options
+ * @returns {string} HTML document
+ */
 function buildHtmlTemplate(highlightedCode, options = {}) {
+  const { startLine = DEFAULT_START_LINE } = options
+  return buildPagedHtmlTemplate([{ highlightedCode, startLine }], options)
+}
+
+/**
+ * Build a standalone HTML document with one code window per page
+ * Each window keeps its own starting line number and "continued" markers
+ * @param {Array<Object>} pages - [{ highlightedCode, startLine?, pageNumber?, pageCount? }]
+ * @param {Object} options - Styling options (shared by every page)
+ * @returns {string} HTML document
+ */
+function buildPagedHtmlTemplate(pages, options = {}) {
   const {
-    background = 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    background = DEFAULT_BACKGROUND, // Descriptor from backgrounds.js
     padding = 64,
     showLineNumbers = true,
-    showWindowControls = true
+    showWindowControls = true,
+    // { style, title, showLanguageIcon } from windowChrome.js
+    windowChrome = { style: showWindowControls ? 'mac' : 'none' },
+    language,
+    foreground = '#d4d4d4',
+    cardBackground = '#1e1e1e',
+    fontFamily = DEFAULT_FONT_FAMILY,
+    fontSize = DEFAULT_TYPOGRAPHY.fontSize,
+    lineHeight = DEFAULT_TYPOGRAPHY.lineHeight,
+    tabSize = DEFAULT_TYPOGRAPHY.tabSize,
+    fontLigatures = DEFAULT_TYPOGRAPHY.fontLigatures,
+    // { columns, color, opacity } from lineNumbers.js, sized for the whole snippet
+    lineNumberGutter = getLineNumberGutter(null, { startLine: pages[0].startLine })
   } = options
 
-  const windowControlsHtml = showWindowControls ? `
-    <div class="window-controls">
-      <div class="dot dot-red"></div>
-      <div class="dot dot-yellow"></div>
-      <div class="dot dot-green"></div>
-    </div>
-  ` : ''
+  const titleBar = getTitleBar(windowChrome, language)
+  const titleBarHtml = renderTitleBar(titleBar)
 
   const lineNumberClass = showLineNumbers ? 'show-line-numbers' : ''
 
+  const codeWindowsHtml = pages.map(({ highlightedCode, startLine = DEFAULT_START_LINE, pageNumber = 1, pageCount = 1 }) => {
+    const continuedFromHtml = pageNumber > 1
+      ? `<div class="continued continued-top">··· continued from page ${pageNumber - 1}</div>`
+      : ''
+    const continuedOnHtml = pageNumber < pageCount
+      ? `<div class="continued continued-bottom">continued on page ${pageNumber + 1} ···</div>`
+      : ''
+
+    return `
+  <div class="code-window">
+    <div class="code-card">
+      ${titleBarHtml}
+      <div class="code-content">
+        ${continuedFromHtml}
+        <div class="code-display ${lineNumberClass}" style="counter-reset: line ${startLine - 1}">
+          ${highlightedCode}
+        </div>
+        ${continuedOnHtml}
+      </div>
+    </div>
+  </div>`
+  }).join('\n')
+
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <link href="https://fonts.googleapis.com/css2?family=Fira+Code:wght@400;500&display=swap" rel="stylesheet">
   <style>
+    ${getFontFaceCss(fontFamily)}
+
     * {
       margin: 0;
       padding: 0;
@@ -44,27 +113,47 @@ function buildHtmlTemplate(highlightedCode, options = {}) {
       border-radius: 12px;
       display: inline-block;
       min-width: 600px;
-      background: ${background};
-      padding: ${padding}px;
+      background: ${backgroundToCss(background)};
+      padding: ${Number(padding)}px;
     }
 
     .code-card {
-      background: #1e1e1e;
+      background: ${cardBackground};
       border-radius: 8px;
       overflow: hidden;
       box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
     }
 
-    .window-controls {
+    /* Title bar (geometry shared with the SVG renderer, see windowChrome.js) */
+    .title-bar {
+      position: relative;
       display: flex;
-      gap: 8px;
-      padding: 16px;
+      align-items: center;
+      height: ${titleBar.height}px;
       background: rgba(0, 0, 0, 0.2);
+      color: ${foreground};
+    }
+
+    .title-bar-terminal::after {
+      content: '';
+      position: absolute;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      height: 1px;
+      background: currentColor;
+      opacity: 0.1;
+    }
+
+    .window-controls {
+      display: flex;
+      gap: ${DOT_GAP}px;
+      padding: 0 ${DOT_INSET}px;
     }
 
     .dot {
-      width: 12px;
-      height: 12px;
+      width: ${DOT_RADIUS * 2}px;
+      height: ${DOT_RADIUS * 2}px;
       border-radius: 50%;
     }
 
@@ -80,6 +169,61 @@ function buildHtmlTemplate(highlightedCode, options = {}) {
       background: #27c93f;
     }
 
+    .title-bar-terminal .dot {
+      background: currentColor;
+      opacity: 0.25;
+    }
+
+    .window-title {
+      position: absolute;
+      top: 0;
+      bottom: 0;
+      left: ${titleBar.titleInset.left}px;
+      right: ${titleBar.titleInset.right}px;
+      display: flex;
+      align-items: center;
+      justify-content: ${titleBar.titleAlign === 'left' ? 'flex-start' : 'center'};
+      gap: ${BADGE_GAP}px;
+      font-family: ${getFontStack(fontFamily)};
+      font-size: ${TITLE_FONT_SIZE}px;
+    }
+
+    .window-title-text {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      opacity: 0.7;
+    }
+
+    .language-badge {
+      flex-shrink: 0;
+      height: ${BADGE_HEIGHT}px;
+      line-height: ${BADGE_HEIGHT}px;
+      padding: 0 5px;
+      border-radius: 3px;
+      font-size: ${BADGE_FONT_SIZE}px;
+      font-weight: 700;
+    }
+
+    .window-buttons {
+      display: flex;
+      align-items: center;
+      height: 100%;
+      margin-left: auto;
+    }
+
+    .title-bar-linux .window-buttons {
+      gap: ${ROUND_BUTTON_GAP}px;
+      margin-right: 12px;
+    }
+
+    .window-button {
+      display: block;
+      fill: none;
+      stroke: currentColor;
+      stroke-opacity: 0.8;
+    }
+
     .code-content {
       position: relative;
       min-height: 50px;
@@ -97,41 +241,160 @@ function buildHtmlTemplate(highlightedCode, options = {}) {
     }
 
     .code-display code {
-      font-family: 'Fira Code', 'Monaco', 'Cascadia Code', 'Courier New', monospace !important;
-      font-size: 14px !important;
-      line-height: 1.5 !important;
-    }
-
-    /* Line numbers via CSS counter */
-    .show-line-numbers .code-display pre {
-      counter-reset: line;
+      font-family: ${getFontStack(fontFamily)} !important;
+      font-size: ${fontSize}px !important;
+      line-height: ${lineHeight} !important;
+      tab-size: ${tabSize};
+      font-variant-ligatures: ${fontLigatures ? 'normal' : 'none'};
+      font-feature-settings: ${fontLigatures ? 'normal' : '"liga" 0, "calt" 0'};
     }
 
-    .show-line-numbers .code-display code .line::before {
+    /* Line numbers via CSS counter (reset per window to its starting line) */
+    .code-display.show-line-numbers code .line::before {
       counter-increment: line;
       content: counter(line);
       display: inline-block;
-      width: 2em;
+      width: ${lineNumberGutter.columns}ch;
       margin-right: 1em;
       text-align: right;
-      color: #666;
+      color: ${lineNumberGutter.color};
+      opacity: ${lineNumberGutter.opacity};
       user-select: none;
     }
+
+    /* Line annotations (classes added by the Shiki line-annotation transformer) */
+    .code-display code .line {
+      display: inline-block;
+      width: calc(100% + 40px);
+      min-height: ${lineHeight}em;
+      margin: 0 -20px;
+      padding: 0 20px;
+    }
+
+    .code-display .has-diff code .line {
+      position: relative;
+      padding-left: calc(20px + 2ch);
+    }
+
+    .code-display code .line.highlighted {
+      background: rgba(101, 117, 133, 0.25);
+    }
+
+    .code-display code .line.diff.add {
+      background: rgba(46, 160, 67, 0.2);
+    }
+
+    .code-display code .line.diff.remove {
+      background: rgba(248, 81, 73, 0.2);
+    }
+
+    .code-display code .line.diff::after {
+      position: absolute;
+      left: 20px;
+      user-select: none;
+    }
+
+    .code-display code .line.diff.add::after {
+      content: '+';
+      color: #3fb950;
+    }
+
+    .code-display code .line.diff.remove::after {
+      content: '-';
+      color: #f85149;
+    }
+
+    .code-display .has-focused code .line:not(.focused) {
+      opacity: 0.4;
+      filter: blur(0.5px);
+    }
+
+    /* Terminal sessions: prompts are not part of the copied command */
+    .code-display .terminal-prompt {
+      user-select: none;
+    }
+
+    /* Pagination markers */
+    .continued {
+      height: 28px;
+      line-height: 28px;
+      padding: 0 20px;
+      font-family: ${getFontStack(fontFamily)};
+      font-size: 12px;
+      font-style: italic;
+      color: #888;
+      user-select: none;
+    }
+
+    .continued-top {
+      margin-bottom: -20px;
+    }
+
+    .continued-bottom {
+      margin-top: -20px;
+    }
   </style>
 </head>
 <body>
-  <div class="code-window">
-    <div class="code-card">
-      ${windowControlsHtml}
-      <div class="code-content">
-        <div class="code-display ${lineNumberClass}">
-          ${highlightedCode}
-        </div>
-      </div>
-    </div>
-  </div>
+  ${codeWindowsHtml}
 </body>
 </html>`
 }
 
-module.exports = { buildHtmlTemplate }
+/**
+ * Render the title bar markup for the resolved window style
+ * @param {Object} titleBar - Result of windowChrome.js getTitleBar
+ * @returns {string} HTML (empty for windowStyle "none")
+ */
+function renderTitleBar(titleBar) {
+  if (!titleBar.height) {
+    return ''
+  }
+
+  let leftControls = ''
+  let rightControls = ''
+  if (titleBar.controls === 'dots') {
+    leftControls = `
+      <div class="window-controls">
+        <div class="dot dot-red"></div>
+        <div class="dot dot-yellow"></div>
+        <div class="dot dot-green"></div>
+      </div>`
+  } else if (titleBar.controls === 'buttons') {
+    // Windows caption buttons: glyphs centered in 46px-wide hit areas
+    const buttons = WINDOW_BUTTONS.map(name => `
+        <svg class="window-button" width="${CAPTION_BUTTON_WIDTH}" height="10" viewBox="${-(CAPTION_BUTTON_WIDTH - 10) / 2} 0 ${CAPTION_BUTTON_WIDTH} 10"><path d="${WINDOW_BUTTON_ICONS[name]}"/></svg>`).join('')
+    rightControls = `<div class="window-buttons">${buttons}</div>`
+  } else if (titleBar.controls === 'round-buttons') {
+    // GNOME-style round buttons: 8px glyphs on a faint circle
+    const size = ROUND_BUTTON_RADIUS * 2
+    const buttons = WINDOW_BUTTONS.map(name => `
+        <svg class="window-button" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}"><circle cx="${ROUND_BUTTON_RADIUS}" cy="${ROUND_BUTTON_RADIUS}" r="${ROUND_BUTTON_RADIUS}" fill="currentColor" fill-opacity="0.1" stroke="none"/><path transform="translate(${ROUND_BUTTON_RADIUS - 4} ${ROUND_BUTTON_RADIUS - 4}) scale(0.8)" d="${WINDOW_BUTTON_ICONS[name]}"/></svg>`).join('')
+    rightControls = `<div class="window-buttons">${buttons}</div>`
+  }
+
+  const badgeHtml = titleBar.badge
+    ? `<span class="language-badge" style="background: ${titleBar.badge.color}; color: ${titleBar.badge.text}">${escapeHtml(titleBar.badge.label)}</span>`
+    : ''
+  const titleTextHtml = titleBar.title
+    ? `<span class="window-title-text">${escapeHtml(titleBar.title)}</span>`
+    : ''
+  const titleHtml = badgeHtml || titleTextHtml
+    ? `<div class="window-title">${badgeHtml}${titleTextHtml}</div>`
+    : ''
+
+  return `
+    <div class="title-bar title-bar-${titleBar.style}">${leftControls}${titleHtml}${rightControls}
+    </div>
+  `
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+module.exports = { buildHtmlTemplate, buildPagedHtmlTemplate }
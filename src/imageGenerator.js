@@ -1,70 +1,222 @@
 /**
  * PNG Image Generator
- * Uses Puppeteer with headless Chrome to generate high-quality PNG images
+ * Uses Puppeteer with headless Chrome to generate high-quality PNG (or JPEG/WebP) images
+ * and print-ready vector PDFs
  */
 
 const chromium = require('@sparticuz/chromium')
 const puppeteer = require('puppeteer-core')
+const { DEFAULT_SCALE, computeFrame, assertWithinPixelBudget } = require('./frame')
 
 // Reuse browser instance across warm Lambda invocations for better performance
 let browser = null
+// Pending launch, shared by concurrent renders (batch requests) so only one browser starts
+let browserLaunch = null
+
+/**
+ * Render HTML to a raster screenshot of the .code-window element
+ * @param {string} htmlContent - Standalone HTML from buildHtmlTemplate
+ * @param {Object} options - Output options
+ * @param {Object} options.frame - Validated frame options from frame.js: { scale, width?, height?, ratio? }
+ * @param {string} options.type - Screenshot type: 'png' (default), 'jpeg' or 'webp'
+ * @param {number} options.quality - JPEG/WebP quality (1-100)
+ * @param {boolean} options.omitBackground - Keep the page transparent (transparent backgrounds, PNG/WebP only)
+ * @returns {Promise<Buffer>} Image data
+ */
+async function generatePNG(htmlContent, options = {}) {
+  const { frame = {}, type = 'png', quality, omitBackground = false } = options
+  const scale = frame.scale || DEFAULT_SCALE
+
+  return withCodeWindow(htmlContent, { frame, scale }, async ({ element }) => {
+    // Take screenshot of the element
+    return element.screenshot({
+      type,
+      ...(type !== 'png' && quality && { quality }),
+      omitBackground // false includes the white page behind rounded corners
+    })
+  })
+}
+
+/**
+ * Render every .code-window of a paged document to its own raster screenshot
+ * All pages share the same dimensions
+ * @param {string} htmlContent - Standalone HTML from buildPagedHtmlTemplate
+ * @param {Object} options - Same as generatePNG
+ * @returns {Promise<Buffer[]>} Image data, one per page
+ */
+async function generatePNGPages(htmlContent, options = {}) {
+  const { frame = {}, type = 'png', quality, omitBackground = false } = options
+  const scale = frame.scale || DEFAULT_SCALE
+
+  return withCodeWindow(htmlContent, { frame, scale }, async ({ elements }) => {
+    const images = []
+    for (const element of elements) {
+      images.push(await element.screenshot({
+        type,
+        ...(type !== 'png' && quality && { quality }),
+        omitBackground
+      }))
+    }
+    return images
+  })
+}
+
+/**
+ * Render HTML to a vector PDF with one page per .code-window element, each page
+ * sized to the window. Text stays selectable and searchable
+ * @param {string} htmlContent - Standalone HTML from buildHtmlTemplate or buildPagedHtmlTemplate
+ * @param {Object} options - Output options
+ * @param {Object} options.frame - Validated frame options from frame.js (scale is ignored)
+ * @returns {Promise<Buffer>} PDF data
+ */
+async function generatePDF(htmlContent, options = {}) {
+  const { frame = {} } = options
+
+  return withCodeWindow(htmlContent, { frame, scale: 1 }, async ({ page, element, elements }) => {
+    const box = await element.boundingBox()
+    const multiPage = elements.length > 1
+
+    // Render the window at the page origin with no print margins or print styles;
+    // paged documents stack their (equally sized) windows one per sheet
+    await page.emulateMediaType('screen')
+    await page.addStyleTag({
+      content: '@page { margin: 0; } html, body { background: transparent; }' +
+        (multiPage ? ' body { display: block; } .code-window { break-after: page; }' : '')
+    })
+
+    return page.pdf({
+      // Round up so sub-pixel layout never spills onto an extra page
+      width: `${Math.ceil(box.width)}px`,
+      height: `${Math.ceil(box.height)}px`,
+      printBackground: true,
+      pageRanges: multiPage ? `1-${elements.length}` : '1'
+    })
+  })
+}
+
+/**
+ * Load HTML into a fresh page, fit the .code-window elements into the requested frame
+ * and hand them to a render callback; the page is always closed afterwards
+ * Paged documents have every window sized to the largest one
+ * @param {string} htmlContent - Standalone HTML from buildHtmlTemplate or buildPagedHtmlTemplate
+ * @param {Object} options - { frame, scale }
+ * @param {Function} render - async ({ page, element, elements }) => Buffer
+ * @returns {Promise<Buffer>} Result of the render callback
+ */
+async function withCodeWindow(htmlContent, { frame, scale }, render) {
+  let page = null
+  let pageBrowser = null
 
-async function generatePNG(htmlContent) {
   try {
     // Launch browser if not already running (or reuse from previous invocation)
-    if (!browser) {
-      console.log('Launching new browser instance...')
-      browser = await puppeteer.launch({
-        args: chromium.args,
-        defaultViewport: chromium.defaultViewport,
-        executablePath: await chromium.executablePath(),
-        headless: chromium.headless,
-      })
-    }
+    pageBrowser = await getBrowser()
 
     // Create a new page
-    const page = await browser.newPage()
+    page = await pageBrowser.newPage()
 
-    // Set viewport for 2x retina quality
+    // Set viewport at the requested device scale factor (2x retina by default)
     await page.setViewport({
-      width: 1200,
+      width: Math.max(1200, frame.width || 0),
       height: 800,
-      deviceScaleFactor: 2 // High DPI for better quality
+      deviceScaleFactor: scale
     })
 
-    // Inject HTML content and wait for fonts to load
+    // Inject HTML content; fonts are embedded as data URLs so no network is needed
     await page.setContent(htmlContent, {
-      waitUntil: 'networkidle0' // Wait for fonts and all resources
+      waitUntil: 'load'
     })
+    await page.evaluate(() => document.fonts.ready)
 
-    // Get the element to screenshot (the code-window div)
-    const element = await page.$('.code-window')
+    // Get the elements to render (one code-window div per page)
+    const elements = await page.$$('.code-window')
 
-    if (!element) {
+    if (elements.length === 0) {
       throw new Error('Could not find .code-window element in rendered HTML')
     }
 
-    // Take screenshot of the element
-    const screenshot = await element.screenshot({
-      type: 'png',
-      omitBackground: false // Include the background gradient
-    })
+    // Fit the largest natural code window into the requested frame and check the pixel budget
+    const boxes = await Promise.all(elements.map(element => element.boundingBox()))
+    const naturalWidth = Math.max(...boxes.map(box => box.width))
+    const naturalHeight = Math.max(...boxes.map(box => box.height))
+    const layout = computeFrame(naturalWidth, naturalHeight, frame)
+    assertWithinPixelBudget(layout.width, layout.height * elements.length, scale)
+
+    if (frame.width || frame.ratio || elements.length > 1) {
+      await page.evaluate(({ width, height, contentScale }) => {
+        const codeWindows = [...document.querySelectorAll('.code-window')]
+        const cards = codeWindows.map(codeWindow => codeWindow.querySelector('.code-card'))
+        // Pin every card to the widest natural width before the windows stop stretching them
+        const cardWidth = Math.max(...cards.map(card => card.offsetWidth))
+        codeWindows.forEach((codeWindow, index) => {
+          const card = cards[index]
+          card.style.width = `${cardWidth}px`
+          card.style.flexShrink = '0'
+          card.style.zoom = String(contentScale)
+          Object.assign(codeWindow.style, {
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            width: `${width}px`,
+            height: `${height}px`,
+            minWidth: '0',
+            padding: '0'
+          })
+        })
+      }, layout)
+    }
+
+    const result = await render({ page, element: elements[0], elements })
 
     // Close the page (but keep browser alive for reuse)
     await page.close()
 
-    return screenshot // Returns Buffer
+    return result // Returns Buffer
   } catch (error) {
-    console.error('Error generating PNG:', error)
-    // Close browser on error to force fresh start next time
-    if (browser) {
-      await browser.close()
+    // Request errors (e.g. over the pixel budget) leave the browser healthy
+    if (error.statusCode) {
+      if (page) await page.close()
+      throw error
+    }
+
+    console.error('Error generating image:', error)
+    // Close only this page: concurrent renders (batch items) may still be using the
+    // browser. A browser that crashed or disconnected is dropped so the next render
+    // launches a fresh one
+    if (page) await page.close().catch(() => {})
+    if (pageBrowser && !pageBrowser.isConnected() && browser === pageBrowser) {
       browser = null
     }
     throw error
   }
 }
 
+/**
+ * Get the shared browser, launching it on first use
+ * @returns {Promise<Object>} Puppeteer browser
+ */
+async function getBrowser() {
+  if (browser) return browser
+
+  if (!browserLaunch) {
+    console.log('Launching new browser instance...')
+    browserLaunch = (async () => {
+      try {
+        browser = await puppeteer.launch({
+          args: chromium.args,
+          defaultViewport: chromium.defaultViewport,
+          executablePath: await chromium.executablePath(),
+          headless: chromium.headless,
+        })
+        return browser
+      } finally {
+        browserLaunch = null
+      }
+    })()
+  }
+
+  return browserLaunch
+}
+
 // Cleanup function for graceful shutdown
 async function cleanup() {
   if (browser) {
@@ -73,4 +225,4 @@ async function cleanup() {
   }
 }
 
-module.exports = { generatePNG, cleanup }
+module.exports = { generatePNG, generatePNGPages, generatePDF, cleanup }
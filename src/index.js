@@ -3,43 +3,167 @@
  * Converts code snippets into beautiful syntax-highlighted images
  */
 
-const { buildHtmlTemplate } = require('./htmlTemplate');
-const { generateSVG } = require('./svgGenerator');
-const { generatePNG } = require('./imageGenerator');
-const { validateApiKey } = require('./auth/jaasClient');
-
-// Lazy load shiki (ES module) - cache for warm Lambda invocations
-let shikiModule = null;
-async function getShiki() {
-  if (!shikiModule) {
-    shikiModule = await import('shiki');
-  }
-  return shikiModule;
-}
+const { buildHtmlTemplate, buildPagedHtmlTemplate } = require('./htmlTemplate');
+const { generateSVG, generateSVGPages } = require('./svgGenerator');
+const { generatePNG, generatePNGPages, generatePDF } = require('./imageGenerator');
+const { authenticate, recordUsage, getRateLimitHeaders } = require('./auth');
+const { checkSupport, withHighlighter } = require('./highlighter');
+const {
+  parseLineAnnotations,
+  createLineAnnotationTransformer,
+} = require('./lineAnnotations');
+const { detectLanguage } = require('./languageDetector');
+const { validateCustomTheme } = require('./customTheme');
+const { resolveFontFamily, getAvailableFonts } = require('./fonts');
+const { validateTypography } = require('./typography');
+const { validateFrameOptions } = require('./frame');
+const { validateLineNumberOptions, getLineNumberGutter } = require('./lineNumbers');
+const { validateWindowChrome } = require('./windowChrome');
+const { validateBackground } = require('./backgrounds');
+const { validateOutputFormat } = require('./formats');
+const {
+  validatePaginationOptions,
+  splitPages,
+  countHastLines,
+  splitHighlightedHtml,
+} = require('./pagination');
+const { createZip } = require('./utils/zip');
+const {
+  TERMINAL_LANGUAGE,
+  validateRenderMode,
+  tokenizeTerminalSession,
+  createTerminalTransformer,
+} = require('./terminal');
+const { isBatchRoute, validateBatchRequest, renderBatch } = require('./batch');
+const { withRenderCache } = require('./renderCache');
+const {
+  validateShareOptions,
+  createShareLink,
+  isSharedImageRoute,
+  getSharedImage,
+  getPublicBaseUrl,
+} = require('./shareLinks');
+const { isSignRoute, createSignedUrl, parseQueryRequest } = require('./signedUrls');
+const {
+  withUsageMetering,
+  recordRequestEvent,
+  isUsageRoute,
+  validateUsageRange,
+  getUsageReport,
+} = require('./usage');
 
 /**
  * Main Lambda handler
+ * Every request is recorded as a usage event: renders by withUsageMetering (one event
+ * per batch item), everything else (rejected requests, /usage, signing) here
  */
 exports.handler = async (event) => {
+  const startTime = Date.now();
+  const route = getUsageRoute(event);
+  const usage = {
+    route,
+    // Parsed request body; stays undefined when it can't be parsed
+    body: route === 'share' || route === 'usage' ? null : undefined,
+    principalId: null,
+    provider: null,
+    metered: false,
+  };
+
+  const response = await handleRequest(event, usage);
+  if (!usage.metered) {
+    await recordRequestEvent(usage.body, response, Date.now() - startTime, usage);
+  }
+  return response;
+};
+
+/**
+ * Handle an API Gateway event, filling in the usage context as the request is parsed
+ * and authenticated
+ * @param {Object} event - API Gateway proxy event
+ * @param {Object} usage - { route, body, principalId, provider, metered } (see handler)
+ * @returns {Promise<Object>} API Gateway response
+ */
+async function handleRequest(event, usage) {
   try {
-    // Parse request body
+    // Shared images are public: GET /i/{id}.{ext} needs no API key
+    if (isSharedImageRoute(event)) {
+      return await getSharedImage(event);
+    }
+
+    // GET /usage takes a date range, validated before the key is checked
+    let usageRange = null;
+    if (isUsageRoute(event)) {
+      usageRange = validateUsageRange(event.queryStringParameters);
+      if (usageRange.error) {
+        return {
+          statusCode: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+          },
+          body: JSON.stringify({ error: usageRange.error }),
+        };
+      }
+    }
+
+    // Parse request body (GET /generate: query string, optionally signed with an API key)
     let body;
-    try {
-      body =
-        typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
-    } catch (error) {
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-        body: JSON.stringify({ error: 'Invalid JSON in request body' }),
-      };
+    let signedApiKey = null;
+    if (usageRange) {
+      body = {};
+    } else if (event.httpMethod === 'GET') {
+      const query = parseQueryRequest(event.queryStringParameters);
+      if (query.error) {
+        return {
+          statusCode: query.statusCode,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+          },
+          body: JSON.stringify({ error: query.error }),
+        };
+      }
+      body = query.body;
+      signedApiKey = query.apiKey;
+      usage.body = body;
+    } else {
+      try {
+        body =
+          typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+      } catch (error) {
+        return {
+          statusCode: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+          },
+          body: JSON.stringify({ error: 'Invalid JSON in request body' }),
+        };
+      }
+      usage.body = body;
+    }
+
+    // Batch requests are validated up front so quota is charged per item
+    let batchItems = null;
+    if (isBatchRoute(event)) {
+      const { items, error: batchError } = validateBatchRequest(body);
+      if (batchError) {
+        return {
+          statusCode: 400,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+          },
+          body: JSON.stringify({ error: batchError }),
+        };
+      }
+      batchItems = items;
     }
 
-    // Extract API key from headers (standard practice: X-API-Key or Authorization Bearer)
+    // Extract API key from headers (standard practice: X-API-Key or Authorization Bearer),
+    // or from a verified signed URL
     const apiKey =
+      signedApiKey ||
       event.headers['x-api-key'] ||
       event.headers['X-API-Key'] ||
       (event.headers['authorization'] || event.headers['Authorization'] || '')
@@ -67,10 +191,15 @@ exports.handler = async (event) => {
       event.headers['X-Forwarded-For']?.split(',')[0]?.trim() ||
       null;
 
-    // Validate API key with JAAS
+    // Validate API key with the configured auth provider (JAAS by default);
+    // usage reports and signing don't consume quota
+    let units = batchItems ? batchItems.length : 1;
+    if (usageRange || isSignRoute(event)) {
+      units = 0;
+    }
     let authResult;
     try {
-      authResult = await validateApiKey(apiKey, clientIp);
+      authResult = await authenticate(apiKey, clientIp, { units });
     } catch (error) {
       console.error('API key validation error:', error);
       return {
@@ -86,6 +215,10 @@ exports.handler = async (event) => {
       };
     }
 
+    // Rejected keys may still name a principal (e.g. a Postgres token over its quota)
+    usage.principalId = authResult.principalId ?? null;
+    usage.provider = authResult.provider || null;
+
     if (!authResult.valid) {
       const statusCode = authResult.statusCode || 401;
       return {
@@ -93,6 +226,7 @@ exports.handler = async (event) => {
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
+          ...getRateLimitHeaders(authResult),
         },
         body: JSON.stringify({
           error: authResult.error || 'Invalid API key',
@@ -103,153 +237,656 @@ exports.handler = async (event) => {
       };
     }
 
-    // Extract parameters from body
-    const {
-      code,
-      language = 'javascript',
-      theme = 'github-dark',
-      format = 'svg',
-      background,
-      padding,
-      showLineNumbers,
-      showWindowControls,
-    } = body;
+    if (usageRange) {
+      return await getUsageReport(authResult.principalId, usageRange);
+    }
 
-    // Validate required fields
-    if (!code) {
+    // Signed URLs are issued for the caller's (validated) key; views are charged when rendered
+    if (isSignRoute(event)) {
+      const signed = createSignedUrl(body, apiKey, getPublicBaseUrl(event));
+      if (!signed.error) {
+        // Only sign URLs that can render: validate the request the URL decodes to
+        // exactly as GET /generate will
+        const query = new URLSearchParams(signed.url.split('?')[1]);
+        const { error, details } = await validateRenderRequest(
+          parseQueryRequest(Object.fromEntries(query)).body
+        );
+        if (error) {
+          return {
+            statusCode: 400,
+            headers: {
+              'Content-Type': 'application/json',
+              'Access-Control-Allow-Origin': '*',
+            },
+            body: JSON.stringify({ error, details }),
+          };
+        }
+      }
       return {
-        statusCode: 400,
+        statusCode: signed.error ? signed.statusCode : 200,
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
         },
-        body: JSON.stringify({ error: 'Missing required field: code' }),
+        body: JSON.stringify(signed.error ? { error: signed.error } : signed),
       };
     }
 
-    // Validate format
-    if (format !== 'svg' && format !== 'png' && format !== 'base64') {
+    // Every render is metered for the usage report and audit log
+    usage.metered = true;
+
+    if (batchItems) {
+      console.log(`Rendering batch of ${batchItems.length} snippets`);
+      // Items past the units the provider could charge (JAAS quota ran out mid-batch)
+      // get its error instead of a render
+      const { grantedUnits = batchItems.length, denied } = authResult;
+      const batch = await renderBatch(batchItems, (item, index) =>
+        withUsageMetering(
+          item,
+          async (request) => {
+            if (index >= grantedUnits) {
+              return {
+                statusCode: denied.statusCode,
+                headers: {
+                  'Content-Type': 'application/json',
+                  'Access-Control-Allow-Origin': '*',
+                },
+                body: JSON.stringify({ error: denied.error }),
+              };
+            }
+            return renderRequest(request, {
+              ownerId: authResult.principalId,
+              baseUrl: getPublicBaseUrl(event),
+            });
+          },
+          usage
+        )
+      );
+      authResult = await recordUsage(apiKey, authResult, { units: batch.succeeded });
       return {
-        statusCode: 400,
+        statusCode: 200,
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
+          ...getRateLimitHeaders(authResult),
         },
-        body: JSON.stringify({
-          error: 'Invalid format. Must be "svg", "png", or "base64"',
-        }),
+        body: JSON.stringify(batch),
       };
     }
 
-    console.log(
-      `Processing ${format.toUpperCase()} request for ${language} code (${
-        code.length
-      } chars)`
-    );
-
-    // Step 1: Syntax highlight with Shiki
-    let highlightedCode;
+    let response = null;
     try {
-      const shiki = await getShiki();
-      highlightedCode = await shiki.codeToHtml(code, {
-        lang: language,
-        theme: theme,
+      response = await withUsageMetering(
+        body,
+        (request) =>
+          renderRequest(request, {
+            ownerId: authResult.principalId,
+            baseUrl: getPublicBaseUrl(event),
+            ifNoneMatch: event.headers['if-none-match'] || event.headers['If-None-Match'],
+          }),
+        usage
+      );
+    } finally {
+      // Settle the unit reserved against local quotas (postgres refunds failed renders)
+      const succeeded = response !== null && response.statusCode === 200;
+      authResult = await recordUsage(apiKey, authResult, { units: succeeded ? 1 : 0 });
+    }
+
+    // Add quota information to successful responses (if available)
+    if (response.statusCode < 400) {
+      Object.assign(response.headers, getRateLimitHeaders(authResult));
+    }
+
+    return response;
+  } catch (error) {
+    console.error('Lambda handler error:', error);
+    return {
+      statusCode: 500,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: error.message,
+      }),
+    };
+  }
+}
+
+/**
+ * Name the route of an API Gateway event for usage events
+ * @param {Object} event - API Gateway proxy event
+ * @returns {string} "share", "usage", "sign", "batch" or "generate"
+ */
+function getUsageRoute(event) {
+  if (isSharedImageRoute(event)) return 'share';
+  if (isUsageRoute(event)) return 'usage';
+  if (isSignRoute(event)) return 'sign';
+  if (isBatchRoute(event)) return 'batch';
+  return 'generate';
+}
+
+/**
+ * Render a request through the render cache (or 304 for a matching ETag), storing
+ * the result as a share link when `share` is set
+ * @param {Object} body - Parsed request body
+ * @param {Object} context - { ownerId: auth principal id, baseUrl: for share links, ifNoneMatch }
+ * @returns {Promise<Object>} API Gateway response
+ */
+async function renderRequest(body, { ownerId, baseUrl, ifNoneMatch } = {}) {
+  const { share, request, error: shareError } = validateShareOptions(body);
+  if (shareError) {
+    return {
+      statusCode: 400,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: JSON.stringify({ error: shareError }),
+    };
+  }
+
+  if (!share) {
+    return withRenderCache(request, renderImage, { ifNoneMatch });
+  }
+
+  const response = await withRenderCache(request, renderImage);
+  if (response.statusCode !== 200) {
+    return response;
+  }
+  return createShareLink(response, { request, share, ownerId, baseUrl });
+}
+
+/**
+ * Validate a render request and resolve its options
+ * Shared by POST /generate and URL signing so that only renderable requests are signed
+ * @param {Object} body - Parsed request body (see README for the parameters)
+ * @returns {Promise<Object>} { request } with the resolved options or { error, details? }
+ */
+async function validateRenderRequest(body) {
+  // Extract parameters from body
+  const {
+    code,
+    mode: requestedMode,
+    language: requestedLanguage = 'auto',
+    filename,
+    theme = 'github-dark',
+    format = 'svg',
+    base64Format,
+    quality,
+    background: requestedBackground,
+    backgroundImage,
+    padding,
+    showLineNumbers,
+    startLine,
+    lineNumberColor,
+    showWindowControls,
+    windowStyle,
+    title,
+    showLanguageIcon,
+    fontFamily: requestedFontFamily = 'fira-code',
+    fontSize,
+    lineHeight,
+    tabSize,
+    fontLigatures,
+    scale,
+    width,
+    aspectRatio,
+    highlightLines,
+    focusLines,
+    diffLines,
+    maxLinesPerImage,
+    pageOutput,
+  } = body;
+
+  // Validate required fields
+  if (!code) {
+    return { error: 'Missing required field: code' };
+  }
+  if (typeof code !== 'string') {
+    return { error: 'Invalid code. Must be a string' };
+  }
+
+  // Validate format (svg, png, jpeg, webp or base64 JSON) and raster quality
+  const { output, error: formatError } = validateOutputFormat({
+    format,
+    base64Format,
+    quality,
+  });
+  if (formatError) {
+    return { error: formatError };
+  }
+
+  // Validate render mode (source code or terminal session)
+  const { mode, error: modeError } = validateRenderMode(requestedMode);
+  if (modeError) {
+    return { error: modeError };
+  }
+  const isTerminal = mode === 'terminal';
+
+  // Validate font family (must be one of the bundled fonts)
+  const fontFamily = resolveFontFamily(requestedFontFamily);
+  if (!fontFamily) {
+    return {
+      error: `Invalid fontFamily. Must be one of: ${getAvailableFonts().join(', ')}`,
+    };
+  }
+
+  // Validate font size, line height, tab width and ligatures
+  const { typography, error: typographyError } = validateTypography({
+    fontSize,
+    lineHeight,
+    tabSize,
+    fontLigatures,
+  });
+  if (typographyError) {
+    return { error: typographyError };
+  }
+
+  // Validate output scale, frame width, aspect ratio and padding
+  const { frame, error: frameError } = validateFrameOptions({
+    scale,
+    width,
+    aspectRatio,
+    padding,
+  });
+  if (frameError) {
+    return { error: frameError };
+  }
+
+  // Validate background (preset, color, gradient, transparent or base64 image)
+  const { background, error: backgroundError } = validateBackground({
+    background: requestedBackground,
+    backgroundImage,
+  });
+  const transparentBackground = background && background.type === 'transparent';
+  if (backgroundError || (transparentBackground && output.type === 'jpeg')) {
+    return {
+      error:
+        backgroundError ||
+        'Transparent backgrounds are not supported for jpeg output',
+    };
+  }
+
+  // Validate line highlight / focus / diff annotations
+  const { annotations: lineAnnotations, error: lineAnnotationError } =
+    parseLineAnnotations({ highlightLines, focusLines, diffLines });
+  if (lineAnnotationError) {
+    return { error: lineAnnotationError };
+  }
+
+  // Validate starting line number and line-number color
+  const { lineNumbers, error: lineNumberError } = validateLineNumberOptions({
+    startLine,
+    lineNumberColor,
+  });
+  if (lineNumberError) {
+    return { error: lineNumberError };
+  }
+
+  // Validate window style and title bar (title defaults to the filename,
+  // terminal sessions default to the terminal window style)
+  const { windowChrome, error: windowChromeError } = validateWindowChrome({
+    windowStyle: windowStyle ?? (isTerminal ? 'terminal' : undefined),
+    showWindowControls,
+    title,
+    filename,
+    showLanguageIcon,
+  });
+  if (windowChromeError) {
+    return { error: windowChromeError };
+  }
+
+  // Validate pagination (long snippets split into several images)
+  const { pagination, error: paginationError } = validatePaginationOptions({
+    maxLinesPerImage,
+    pageOutput,
+  });
+  if (paginationError) {
+    return { error: paginationError };
+  }
+
+  // Resolve "auto" language from the filename hint, shebang or content
+  // (terminal sessions are always shell commands with program output)
+  let language = isTerminal ? TERMINAL_LANGUAGE : requestedLanguage;
+  let detectedLanguage = null;
+  if (!isTerminal && requestedLanguage === 'auto') {
+    const detection = detectLanguage(code, filename);
+    language = detectedLanguage = detection.language;
+    console.log(`Detected language ${language} (via ${detection.source})`);
+  }
+
+  // Inline theme objects (VS Code / TextMate JSON) are validated and loaded by name
+  let themeRegistration = theme;
+  if (typeof theme === 'object' && theme !== null) {
+    const { theme: customTheme, error: themeError } =
+      validateCustomTheme(theme);
+    if (themeError) {
+      return { error: themeError };
+    }
+    themeRegistration = customTheme;
+  }
+  const themeName =
+    typeof themeRegistration === 'object'
+      ? themeRegistration.name
+      : themeRegistration;
+
+
+  // Unknown languages/themes are rejected before anything is loaded or signed
+  const unsupported = await checkSupport({ lang: language, theme: themeRegistration });
+  if (unsupported) {
+    return {
+      error: 'Syntax highlighting failed. Check language and theme parameters.',
+      details: unsupported,
+    };
+  }
+
+  return {
+    request: {
+      code,
+      output,
+      isTerminal,
+      showLineNumbers,
+      fontFamily,
+      typography,
+      frame,
+      background,
+      transparentBackground,
+      lineAnnotations,
+      lineNumbers,
+      windowChrome,
+      pagination,
+      language,
+      detectedLanguage,
+      themeRegistration,
+      themeName,
+    },
+  };
+}
+
+/**
+ * Render one snippet request into an API Gateway response
+ * Validation errors are returned as 4xx responses; unexpected errors are thrown
+ * @param {Object} body - Parsed request body (see README for the parameters)
+ * @returns {Promise<Object>} API Gateway response
+ */
+async function renderImage(body) {
+  const { request, error, details } = await validateRenderRequest(body);
+  if (error) {
+    return {
+      statusCode: 400,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: JSON.stringify({ error, details }),
+    };
+  }
+  const {
+    code,
+    output,
+    isTerminal,
+    showLineNumbers,
+    fontFamily,
+    typography,
+    frame,
+    background,
+    transparentBackground,
+    lineAnnotations,
+    lineNumbers,
+    windowChrome,
+    pagination,
+    language,
+    detectedLanguage,
+    themeRegistration,
+    themeName,
+  } = request;
+
+  console.log(
+    `Processing ${output.format.toUpperCase()} request for ${language} code (${
+      code.length
+    } chars)`
+  );
+
+  // Step 1: Syntax highlight with Shiki
+  // SVG is drawn directly from tokens; raster formats render Shiki's HTML
+  // (kept as HAST when paginating so it can be split into pages)
+  // Terminal sessions are tokenized up front (commands as shell, output as ANSI)
+  let highlightedCode, highlightedHast, highlightedTokens;
+  let cardBackground, foreground, lineNumberGutter;
+  try {
+    await withHighlighter({ lang: language, theme: themeRegistration }, (highlighter) => {
+      // Card background follows the theme's editor.background, line numbers its
+      // editorLineNumber.foreground; the gutter fits the last line number
+      const resolvedTheme = highlighter.getTheme(themeName);
+      cardBackground = resolvedTheme.bg;
+      foreground = resolvedTheme.fg;
+      lineNumberGutter = getLineNumberGutter(resolvedTheme, {
+        startLine: lineNumbers.startLine,
+        lineCount: code.split(/\r?\n/).length,
+        color: lineNumbers.color,
       });
-    } catch (error) {
-      console.error('Shiki highlighting error:', error);
+      const terminalSession = isTerminal
+        ? tokenizeTerminalSession(highlighter, code, themeName)
+        : null;
+      const htmlOptions = {
+        lang: isTerminal ? 'text' : language,
+        theme: themeName,
+        transformers: [
+          ...(terminalSession ? [createTerminalTransformer(terminalSession)] : []),
+          createLineAnnotationTransformer(lineAnnotations, lineNumbers.startLine),
+        ],
+      };
+      if (output.renderer === 'svg') {
+        highlightedTokens =
+          terminalSession ||
+          highlighter.codeToTokens(code, {
+            lang: language,
+            theme: themeName,
+          });
+      } else if (pagination) {
+        highlightedHast = highlighter.codeToHast(code, htmlOptions);
+      } else {
+        highlightedCode = highlighter.codeToHtml(code, htmlOptions);
+      }
+    });
+  } catch (error) {
+    console.error('Shiki highlighting error:', error);
+    return {
+      statusCode: 400,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: JSON.stringify({
+        error:
+          'Syntax highlighting failed. Check language and theme parameters.',
+        details: error.message,
+      }),
+    };
+  }
+
+  // Step 2: Shared styling options for both renderers
+  const styleOptions = {
+    background,
+    padding: frame.padding,
+    // Line numbers are off by default for terminal sessions
+    showLineNumbers: showLineNumbers ?? !isTerminal,
+    startLine: lineNumbers.startLine,
+    lineNumberGutter,
+    windowChrome,
+    language,
+    foreground,
+    cardBackground,
+    fontFamily,
+    ...typography,
+    frame,
+  };
+
+  // Step 3: Generate image based on format
+  // Paginated SVG/raster output yields one image per page in pageImages
+  let imageData, pageImages, pages;
+
+  try {
+    if (pagination && output.renderer === 'svg') {
+      pages = splitPages(
+        highlightedTokens.tokens.length,
+        pagination.maxLinesPerImage,
+        lineNumbers.startLine
+      );
+      console.log(`Generating ${pages.length} SVG pages...`);
+      pageImages = generateSVGPages(highlightedTokens, pages, {
+        ...styleOptions,
+        lineAnnotations,
+      });
+    } else if (pagination) {
+      pages = splitPages(
+        countHastLines(highlightedHast),
+        pagination.maxLinesPerImage,
+        lineNumbers.startLine
+      );
+      const pageHtml = await splitHighlightedHtml(highlightedHast, pages);
+      const html = buildPagedHtmlTemplate(
+        pages.map((page, index) => ({ ...page, highlightedCode: pageHtml[index] })),
+        styleOptions
+      );
+      if (output.renderer === 'pdf') {
+        // All pages go into a single multi-page PDF
+        console.log(`Generating ${pages.length}-page PDF with Puppeteer...`);
+        imageData = await generatePDF(html, { frame });
+      } else {
+        console.log(
+          `Generating ${pages.length} ${output.type.toUpperCase()} pages with Puppeteer...`
+        );
+        pageImages = await generatePNGPages(html, {
+          frame,
+          type: output.type,
+          quality: output.quality,
+          omitBackground: transparentBackground,
+        });
+      }
+    } else if (output.renderer === 'svg') {
+      // Generate vector SVG from tokens (fast, no browser needed)
+      console.log('Generating SVG...');
+      imageData = generateSVG(highlightedTokens, {
+        ...styleOptions,
+        lineAnnotations,
+      });
+    } else if (output.renderer === 'pdf') {
+      // Print a vector PDF with selectable text using Puppeteer
+      console.log('Generating PDF with Puppeteer...');
+      imageData = await generatePDF(
+        buildHtmlTemplate(highlightedCode, styleOptions),
+        { frame }
+      );
+    } else {
+      // Generate PNG/JPEG/WebP using Puppeteer
+      console.log(`Generating ${output.type.toUpperCase()} with Puppeteer...`);
+      imageData = await generatePNG(
+        buildHtmlTemplate(highlightedCode, styleOptions),
+        {
+          frame,
+          type: output.type,
+          quality: output.quality,
+          omitBackground: transparentBackground,
+        }
+      );
+    }
+  } catch (error) {
+    // Render errors caused by the request (e.g. output over the pixel budget)
+    if (error.statusCode) {
       return {
-        statusCode: 400,
+        statusCode: error.statusCode,
         headers: {
           'Content-Type': 'application/json',
           'Access-Control-Allow-Origin': '*',
         },
-        body: JSON.stringify({
-          error:
-            'Syntax highlighting failed. Check language and theme parameters.',
-          details: error.message,
-        }),
+        body: JSON.stringify({ error: error.message }),
       };
     }
+    throw error;
+  }
 
-    // Step 2: Build HTML template
-    const html = buildHtmlTemplate(highlightedCode, {
-      background,
-      padding,
-      showLineNumbers,
-      showWindowControls,
-    });
+  // Step 4: Return response
+  const headers = {
+    'Content-Type': output.base64 ? 'application/json' : output.mimeType,
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
+  };
 
-    // Step 3: Generate image based on format
-    let imageData, contentType, isBase64Format = false;
-
-    if (format === 'png') {
-      // Generate PNG using Puppeteer (binary response)
-      console.log('Generating PNG with Puppeteer...');
-      imageData = await generatePNG(html);
-      contentType = 'image/png';
-    } else if (format === 'base64') {
-      // Generate PNG and return as base64 string in JSON (for n8n workflows)
-      console.log('Generating PNG for base64 output...');
-      const pngBuffer = await generatePNG(html);
-      imageData = pngBuffer.toString('base64');
-      contentType = 'application/json';
-      isBase64Format = true;
-    } else {
-      // Generate SVG (fast, no browser needed)
-      console.log('Generating SVG...');
-      imageData = generateSVG(html);
-      contentType = 'image/svg+xml';
-    }
+  // Report the language picked by auto-detection
+  if (detectedLanguage) {
+    headers['X-Detected-Language'] = detectedLanguage;
+  }
 
-    // Step 4: Return response with quota information in headers
-    const headers = {
-      'Content-Type': contentType,
-      'Access-Control-Allow-Origin': '*',
-      'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
-    };
+  if (pages) {
+    headers['X-Page-Count'] = String(pages.length);
+  }
 
-    // Add quota information to response headers (if available)
-    if (authResult.remainingQuota !== undefined) {
-      headers['X-RateLimit-Remaining'] = String(authResult.remainingQuota);
-    }
+  // Paginated images: a JSON array of base64 pages, or a ZIP archive of the page files
+  let file = {
+    mimeType: output.mimeType,
+    extension: output.extension,
+    isBinary: output.renderer !== 'svg',
+  };
+  if (pageImages) {
+    const timestamp = Date.now();
+    const pageFiles = pageImages.map((data, index) => ({
+      page: pages[index],
+      name: `code-${timestamp}-page-${index + 1}.${output.extension}`,
+      data: Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8'),
+    }));
 
-    // Return appropriate response based on format
-    if (isBase64Format) {
-      // Base64 format: Return JSON with base64 string, filename, and mime type
+    if (pagination.pageOutput === 'json') {
+      headers['Content-Type'] = 'application/json';
       return {
         statusCode: 200,
         headers: headers,
         body: JSON.stringify({
-          data: imageData,
-          mimeType: 'image/png',
-          fileName: `code-${Date.now()}.png`,
+          pageCount: pageFiles.length,
+          pages: pageFiles.map(({ page, name, data }) => ({
+            page: page.pageNumber,
+            startLine: page.startLine,
+            endLine: page.endLine,
+            data: data.toString('base64'),
+            mimeType: output.mimeType,
+            fileName: name,
+          })),
         }),
         isBase64Encoded: false,
       };
-    } else {
-      // PNG or SVG: Return binary/text response
-      return {
-        statusCode: 200,
-        headers: headers,
-        body:
-          format === 'png'
-            ? imageData.toString('base64') // PNG as base64 for API Gateway
-            : imageData, // SVG as string
-        isBase64Encoded: format === 'png',
-      };
     }
-  } catch (error) {
-    console.error('Lambda handler error:', error);
+
+    imageData = createZip(pageFiles);
+    file = { mimeType: 'application/zip', extension: 'zip', isBinary: true };
+    if (!output.base64) {
+      headers['Content-Type'] = file.mimeType;
+    }
+  }
+
+  // Return appropriate response based on format
+  if (output.base64) {
+    // Base64 format: Return JSON with base64 string, filename, and mime type (for n8n workflows)
     return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
+      statusCode: 200,
+      headers: headers,
       body: JSON.stringify({
-        error: 'Internal server error',
-        message: error.message,
+        data: imageData.toString('base64'),
+        mimeType: file.mimeType,
+        fileName: `code-${Date.now()}.${file.extension}`,
       }),
+      isBase64Encoded: false,
+    };
+  } else {
+    // Raster/PDF/ZIP or SVG: Return binary/text response
+    return {
+      statusCode: 200,
+      headers: headers,
+      body: file.isBinary
+        ? imageData.toString('base64') // Binary as base64 for API Gateway
+        : imageData, // SVG as string
+      isBase64Encoded: file.isBinary,
     };
   }
-};
+}
@@ -0,0 +1,333 @@
+/**
+ * Language Detector
+ * Guesses the Shiki language of a snippet from a filename hint, a shebang line
+ * or content heuristics (used when `language` is "auto")
+ */
+
+// Language used when nothing matches confidently (the default before detection existed)
+const FALLBACK_LANGUAGE = 'javascript';
+
+// Minimum heuristic score before a content-based guess is trusted
+const MIN_CONTENT_SCORE = 2;
+
+// Only the start of a snippet is scanned, which keeps the heuristics fast on huge inputs
+const MAX_SCAN_LINES = 200;
+const MAX_SCAN_CHARS = 20 * 1024;
+
+const EXTENSION_LANGUAGES = {
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  jsx: 'jsx',
+  ts: 'typescript',
+  mts: 'typescript',
+  cts: 'typescript',
+  tsx: 'tsx',
+  py: 'python',
+  pyw: 'python',
+  java: 'java',
+  c: 'c',
+  h: 'c',
+  cc: 'cpp',
+  cpp: 'cpp',
+  cxx: 'cpp',
+  hpp: 'cpp',
+  hh: 'cpp',
+  cs: 'csharp',
+  go: 'go',
+  rs: 'rust',
+  rb: 'ruby',
+  php: 'php',
+  html: 'html',
+  htm: 'html',
+  css: 'css',
+  scss: 'scss',
+  less: 'less',
+  json: 'json',
+  jsonc: 'jsonc',
+  yaml: 'yaml',
+  yml: 'yaml',
+  md: 'markdown',
+  markdown: 'markdown',
+  sql: 'sql',
+  sh: 'bash',
+  bash: 'bash',
+  zsh: 'zsh',
+  fish: 'fish',
+  ps1: 'powershell',
+  kt: 'kotlin',
+  kts: 'kotlin',
+  swift: 'swift',
+  scala: 'scala',
+  dart: 'dart',
+  lua: 'lua',
+  pl: 'perl',
+  r: 'r',
+  ex: 'elixir',
+  exs: 'elixir',
+  erl: 'erlang',
+  hs: 'haskell',
+  clj: 'clojure',
+  vue: 'vue',
+  svelte: 'svelte',
+  xml: 'xml',
+  svg: 'xml',
+  toml: 'toml',
+  ini: 'ini',
+  graphql: 'graphql',
+  gql: 'graphql',
+  tf: 'hcl',
+  proto: 'proto',
+  zig: 'zig',
+};
+
+const FILENAME_LANGUAGES = {
+  dockerfile: 'docker',
+  makefile: 'make',
+  gemfile: 'ruby',
+  rakefile: 'ruby',
+  '.bashrc': 'bash',
+  '.zshrc': 'zsh',
+  '.env': 'dotenv',
+};
+
+// Interpreter name in a shebang line -> language
+const SHEBANG_LANGUAGES = {
+  node: 'javascript',
+  deno: 'typescript',
+  bun: 'javascript',
+  'ts-node': 'typescript',
+  python: 'python',
+  ruby: 'ruby',
+  perl: 'perl',
+  php: 'php',
+  bash: 'bash',
+  sh: 'bash',
+  zsh: 'zsh',
+  fish: 'fish',
+  lua: 'lua',
+  pwsh: 'powershell',
+};
+
+// Content heuristics: each matching pattern adds its weight to the language score
+const CONTENT_RULES = {
+  javascript: [
+    [/\b(const|let|var)\s+[\w$]+\s*=/, 1],
+    [/\bfunction\s*[\w$]*\s*\(/, 1],
+    [/=>/, 1],
+    [/\bconsole\.\w+\(/, 2],
+    [/\brequire\(['"]/, 2],
+    [/\bmodule\.exports\b/, 2],
+    [/^\s*import\s+.+\s+from\s+['"]/m, 1],
+  ],
+  typescript: [
+    [/^\s*import\s+.+\s+from\s+['"]/m, 1],
+    [/\b(const|let)\s+\w+\s*:\s*\w+/, 2],
+    [/\)\s*:\s*(string|number|boolean|void|any|Promise<.+>)\s*[{=]/, 2],
+    [/^\s*(export\s+)?interface\s+\w+/m, 3],
+    [/^\s*(export\s+)?type\s+\w+\s*=/m, 3],
+  ],
+  python: [
+    [/^\s*def\s+\w+\s*\(.*\)\s*(->\s*[\w[\], ]+)?:\s*$/m, 3],
+    [/^\s*(from\s+[\w.]+\s+)?import\s+[\w.]+(\s+as\s+\w+)?\s*$/m, 1],
+    [/^\s*class\s+\w+(\(.*\))?:\s*$/m, 2],
+    [/^\s*(elif|except|with)\b.*:\s*$/m, 2],
+    [/\bself\.\w+/, 1],
+    [/\bprint\(/, 1],
+    [/^\s*if\s+__name__\s*==/m, 3],
+  ],
+  java: [
+    [/\bpublic\s+(static\s+)?(final\s+)?class\s+\w+/, 3],
+    [/\bSystem\.out\.print/, 3],
+    [/^\s*import\s+java\./m, 3],
+    [/\bpublic\s+static\s+void\s+main\s*\(/, 2],
+    [/^\s*package\s+[\w.]+;/m, 2],
+  ],
+  csharp: [
+    [/^\s*using\s+System(\.\w+)*;/m, 3],
+    [/\bConsole\.Write(Line)?\(/, 3],
+    [/^\s*namespace\s+[\w.]+/m, 2],
+    [/\{\s*get;\s*(set;)?\s*\}/, 2],
+  ],
+  c: [
+    [/^\s*#include\s*<\w+\.h>/m, 3],
+    [/\bprintf\s*\(/, 1],
+    [/\bint\s+main\s*\(/, 1],
+    [/\bmalloc\s*\(/, 2],
+  ],
+  cpp: [
+    [/^\s*#include\s*<(iostream|vector|string|map|memory|algorithm)>/m, 3],
+    [/\bstd::\w+/, 3],
+    [/\bcout\s*<</, 2],
+    [/\btemplate\s*</, 2],
+  ],
+  go: [
+    [/^\s*package\s+\w+\s*$/m, 2],
+    [/\bfunc\s+(\(\w+\s+\*?\w+\)\s*)?\w+\s*\(/, 3],
+    [/:=/, 1],
+    [/\bfmt\.\w+\(/, 2],
+  ],
+  rust: [
+    [/\bfn\s+\w+\s*(<[^>]*>)?\s*\(/, 3],
+    [/\blet\s+mut\s+/, 3],
+    [/\b\w+!\(/, 1],
+    [/^\s*use\s+\w+(::\w+)+/m, 2],
+    [/\bimpl\b/, 2],
+  ],
+  ruby: [
+    [/^\s*def\s+\w+[?!]?(\(.*\))?\s*$/m, 2],
+    [/^\s*end\s*$/m, 2],
+    [/\bputs\s+/, 2],
+    [/\.each\s+do\b/, 3],
+    [/^\s*require\s+['"]/m, 1],
+  ],
+  php: [
+    [/<\?php/, 5],
+    [/\$\w+\s*=/, 1],
+    [/\becho\s+/, 1],
+  ],
+  html: [
+    [/^\s*<!DOCTYPE\s+html/i, 5],
+    [/<\/?(html|head|body|div|span|p|a|ul|li|section)\b[^>]*>/i, 3],
+  ],
+  css: [
+    [/^[ \t]*[.#]?[\w-][\w\-.# \t,>+~]*\{[ \t]*$/m, 1],
+    [/^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/m, 2],
+    [/@media\s/, 2],
+  ],
+  json: [],
+  yaml: [
+    [/^[\w-]+:\s*$/m, 1],
+    [/^\s+[\w-]+:\s+\S/m, 1],
+    [/^\s*-\s+[\w-]+:\s/m, 2],
+    [/^---\s*$/m, 1],
+  ],
+  markdown: [
+    [/^#{1,6}\s+\S/m, 2],
+    [/^\s*[-*]\s+\S/m, 1],
+    [/\[[^\]]+\]\([^)]+\)/, 2],
+    [/^```/m, 2],
+  ],
+  sql: [
+    [/^\s*(SELECT|INSERT\s+INTO|UPDATE|DELETE\s+FROM|CREATE\s+(TABLE|INDEX|VIEW)|ALTER\s+TABLE|DROP\s+TABLE|WITH)\b/im, 3],
+    [/\bFROM\s+\w+/i, 1],
+    [/\bWHERE\b/i, 1],
+    [/\b(JOIN|GROUP\s+BY|ORDER\s+BY)\b/i, 1],
+  ],
+  bash: [
+    [/^\s*(echo|export|cd|sudo|apt-get|apt|brew|npm|yarn|git|curl|wget|chmod|mkdir|docker)\s/m, 2],
+    [/^\s*(if|while|for)\s.*;\s*(then|do)\s*$/m, 3],
+    [/^\s*(fi|done|esac)\s*$/m, 3],
+    [/\$\{?\w+\}?/, 1],
+  ],
+};
+
+/**
+ * Detect the language of a code snippet
+ * @param {string} code - Source code
+ * @param {string} filename - Optional filename hint (e.g. "main.go")
+ * @returns {Object} { language: string, source: 'filename' | 'shebang' | 'content' | 'fallback' }
+ */
+function detectLanguage(code, filename = null) {
+  const fromFilename = detectFromFilename(filename);
+  if (fromFilename) {
+    return { language: fromFilename, source: 'filename' };
+  }
+
+  const fromShebang = detectFromShebang(code);
+  if (fromShebang) {
+    return { language: fromShebang, source: 'shebang' };
+  }
+
+  const fromContent = detectFromContent(code);
+  if (fromContent) {
+    return { language: fromContent, source: 'content' };
+  }
+
+  return { language: FALLBACK_LANGUAGE, source: 'fallback' };
+}
+
+/**
+ * Map a filename or path to a language using its name or extension
+ * @param {string} filename - Filename hint
+ * @returns {string|null} Language or null when unknown
+ */
+function detectFromFilename(filename) {
+  if (!filename || typeof filename !== 'string') {
+    return null;
+  }
+
+  const basename = filename.trim().split(/[\\/]/).pop().toLowerCase();
+  if (Object.hasOwn(FILENAME_LANGUAGES, basename)) {
+    return FILENAME_LANGUAGES[basename];
+  }
+  if (basename.startsWith('dockerfile')) {
+    return 'docker';
+  }
+
+  const dotIndex = basename.lastIndexOf('.');
+  if (dotIndex === -1) {
+    return null;
+  }
+
+  const extension = basename.slice(dotIndex + 1);
+  return Object.hasOwn(EXTENSION_LANGUAGES, extension) ? EXTENSION_LANGUAGES[extension] : null;
+}
+
+/**
+ * Map a "#!" interpreter line to a language
+ * @param {string} code - Source code
+ * @returns {string|null} Language or null when there is no recognised shebang
+ */
+function detectFromShebang(code) {
+  const match = code.match(/^#!\s*(\S+)(?:\s+(\S+))?/);
+  if (!match) {
+    return null;
+  }
+
+  // "#!/usr/bin/env python3" names the interpreter in the second position
+  let interpreter = match[1].split('/').pop();
+  if (interpreter === 'env' && match[2]) {
+    interpreter = match[2];
+  }
+  interpreter = interpreter.replace(/[\d.]+$/, '');
+
+  return Object.hasOwn(SHEBANG_LANGUAGES, interpreter) ? SHEBANG_LANGUAGES[interpreter] : null;
+}
+
+/**
+ * Score the snippet against the content heuristics
+ * @param {string} code - Source code
+ * @returns {string|null} Best scoring language or null when nothing is confident
+ */
+function detectFromContent(code) {
+  const sample = code.slice(0, MAX_SCAN_CHARS).split('\n', MAX_SCAN_LINES).join('\n');
+  const trimmed = code.trim();
+
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch (error) {
+      // Not JSON - fall through to the heuristics
+    }
+  }
+
+  let bestLanguage = null;
+  let bestScore = 0;
+
+  for (const [language, rules] of Object.entries(CONTENT_RULES)) {
+    const score = rules.reduce(
+      (total, [pattern, weight]) => total + (pattern.test(sample) ? weight : 0),
+      0
+    );
+    if (score > bestScore) {
+      bestLanguage = language;
+      bestScore = score;
+    }
+  }
+
+  return bestScore >= MIN_CONTENT_SCORE ? bestLanguage : null;
+}
+
+module.exports = { detectLanguage };
@@ -0,0 +1,190 @@
+/**
+ * Line Annotations
+ * Parses line highlight / focus / diff request fields and applies them to
+ * Shiki output (HTML via a transformer, SVG via per-line decorations)
+ */
+
+// Upper bound on the number of lines a single range may expand to
+const MAX_RANGE_SIZE = 10000;
+
+// Upper bounds per field on entries and on lines expanded in total (keeps parsing cheap)
+const MAX_LINE_ENTRIES = 1000;
+const MAX_EXPANDED_LINES = 20000;
+
+/**
+ * Parse and validate line annotation fields from the request body
+ * @param {Object} fields - { highlightLines, focusLines, diffLines }
+ * @returns {Object} { annotations } on success or { error } on invalid input
+ *   annotations: { highlighted: Set<number>, focused: Set<number>, added: Set<number>, removed: Set<number> }
+ */
+function parseLineAnnotations({ highlightLines, focusLines, diffLines } = {}) {
+  const highlighted = parseLineSpec(highlightLines, 'highlightLines');
+  if (highlighted.error) return highlighted;
+
+  const focused = parseLineSpec(focusLines, 'focusLines');
+  if (focused.error) return focused;
+
+  if (
+    diffLines !== undefined &&
+    diffLines !== null &&
+    (typeof diffLines !== 'object' || Array.isArray(diffLines))
+  ) {
+    return {
+      error: 'Invalid diffLines. Must be an object like { "added": [...], "removed": [...] }',
+    };
+  }
+
+  const added = parseLineSpec(diffLines?.added, 'diffLines.added');
+  if (added.error) return added;
+
+  const removed = parseLineSpec(diffLines?.removed, 'diffLines.removed');
+  if (removed.error) return removed;
+
+  return {
+    annotations: {
+      highlighted: highlighted.lines,
+      focused: focused.lines,
+      added: added.lines,
+      removed: removed.lines,
+    },
+  };
+}
+
+/**
+ * Parse a line specification such as [3, "7-9"] into a set of 1-based line numbers
+ * @param {Array<number|string>} spec - Line numbers and "start-end" ranges
+ * @param {string} fieldName - Field name used in error messages
+ * @returns {Object} { lines: Set<number> } or { error: string }
+ */
+function parseLineSpec(spec, fieldName) {
+  const lines = new Set();
+
+  if (spec === undefined || spec === null) {
+    return { lines };
+  }
+
+  if (!Array.isArray(spec)) {
+    return {
+      error: `Invalid ${fieldName}. Must be an array of line numbers or "start-end" ranges`,
+    };
+  }
+
+  if (spec.length > MAX_LINE_ENTRIES) {
+    return { error: `Invalid ${fieldName}. At most ${MAX_LINE_ENTRIES} entries are allowed` };
+  }
+
+  let expanded = 0;
+  for (const item of spec) {
+    const match =
+      typeof item === 'number'
+        ? [null, String(item), String(item)]
+        : typeof item === 'string' && item.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+
+    const start = match ? Number(match[1]) : NaN;
+    const end = match ? Number(match[2] || match[1]) : NaN;
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) {
+      return {
+        error: `Invalid ${fieldName} entry: ${JSON.stringify(item)}. Use positive line numbers or "start-end" ranges`,
+      };
+    }
+
+    if (end - start + 1 > MAX_RANGE_SIZE) {
+      return {
+        error: `Invalid ${fieldName} entry: ${JSON.stringify(item)}. Ranges may span at most ${MAX_RANGE_SIZE} lines`,
+      };
+    }
+
+    expanded += end - start + 1;
+    if (expanded > MAX_EXPANDED_LINES) {
+      return {
+        error: `Invalid ${fieldName}. Entries may cover at most ${MAX_EXPANDED_LINES} lines in total`,
+      };
+    }
+
+    for (let line = start; line <= end; line++) {
+      lines.add(line);
+    }
+  }
+
+  return { lines };
+}
+
+/**
+ * Check whether any annotation is present
+ * @param {Object} annotations - Parsed annotations
+ * @returns {boolean}
+ */
+function hasLineAnnotations(annotations) {
+  return Boolean(
+    annotations &&
+      (annotations.highlighted.size ||
+        annotations.focused.size ||
+        annotations.added.size ||
+        annotations.removed.size)
+  );
+}
+
+/**
+ * Get the decoration for a single line (used by the SVG renderer)
+ * @param {Object} annotations - Parsed annotations
+ * @param {number} lineNumber - 1-based line number
+ * @returns {Object} { highlighted: boolean, dimmed: boolean, diff: 'add' | 'remove' | null }
+ */
+function getLineDecoration(annotations, lineNumber) {
+  if (!annotations) {
+    return { highlighted: false, dimmed: false, diff: null };
+  }
+
+  let diff = null;
+  if (annotations.added.has(lineNumber)) diff = 'add';
+  else if (annotations.removed.has(lineNumber)) diff = 'remove';
+
+  return {
+    highlighted: annotations.highlighted.has(lineNumber),
+    dimmed: annotations.focused.size > 0 && !annotations.focused.has(lineNumber),
+    diff,
+  };
+}
+
+/**
+ * Create a Shiki transformer that adds annotation classes to the highlighted HTML
+ * Class names follow @shikijs/transformers: highlighted, focused, diff add/remove,
+ * with has-focused / has-diff on the <pre> element
+ * @param {Object} annotations - Parsed annotations
+ * @param {number} startLine - Displayed number of the first line (annotations use displayed numbers)
+ * @returns {Object} Shiki transformer
+ */
+function createLineAnnotationTransformer(annotations, startLine = 1) {
+  return {
+    name: 'code-to-image:line-annotations',
+    pre(node) {
+      if (annotations.focused.size > 0) {
+        this.addClassToHast(node, 'has-focused');
+      }
+      if (annotations.added.size > 0 || annotations.removed.size > 0) {
+        this.addClassToHast(node, 'has-diff');
+      }
+    },
+    line(node, index) {
+      const line = startLine + index - 1;
+      const decoration = getLineDecoration(annotations, line);
+      if (decoration.highlighted) {
+        this.addClassToHast(node, 'highlighted');
+      }
+      if (annotations.focused.has(line)) {
+        this.addClassToHast(node, 'focused');
+      }
+      if (decoration.diff) {
+        this.addClassToHast(node, ['diff', decoration.diff]);
+      }
+    },
+  };
+}
+
+module.exports = {
+  parseLineAnnotations,
+  hasLineAnnotations,
+  getLineDecoration,
+  createLineAnnotationTransformer,
+};
@@ -0,0 +1,96 @@
+/**
+ * Line Numbers
+ * Validates the starting line number / gutter color request options and derives
+ * the line-number gutter (width and color) from the theme and the snippet
+ */
+
+const DEFAULT_START_LINE = 1;
+const MAX_START_LINE = 1000000;
+
+// Gutter never narrower than two digits, so short snippets keep a stable layout
+const MIN_GUTTER_COLUMNS = 2;
+
+// Themes without editorLineNumber.foreground get a faded foreground
+const FALLBACK_OPACITY = 0.45;
+
+const HEX_COLOR = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+/**
+ * Validate line-number options from the request body, applying defaults
+ * @param {Object} fields - { startLine, lineNumberColor }
+ * @returns {Object} { lineNumbers } on success or { error } on invalid input
+ *   lineNumbers: { startLine: number, color?: string }
+ */
+function validateLineNumberOptions({ startLine, lineNumberColor } = {}) {
+  const lineNumbers = { startLine: DEFAULT_START_LINE };
+
+  if (startLine !== undefined && startLine !== null) {
+    if (!Number.isInteger(startLine) || startLine < 1 || startLine > MAX_START_LINE) {
+      return { error: `Invalid startLine. Must be an integer between 1 and ${MAX_START_LINE}` };
+    }
+    lineNumbers.startLine = startLine;
+  }
+
+  if (lineNumberColor !== undefined && lineNumberColor !== null) {
+    if (typeof lineNumberColor !== 'string' || !HEX_COLOR.test(lineNumberColor)) {
+      return { error: 'Invalid lineNumberColor. Use a hex color such as "#6e7681"' };
+    }
+    lineNumbers.color = lineNumberColor;
+  }
+
+  return { lineNumbers };
+}
+
+/**
+ * Derive the line-number gutter for a snippet
+ * The width fits the largest line number; the color comes from the request, the
+ * theme's editorLineNumber.foreground, or the theme foreground faded out
+ * @param {Object} theme - Resolved Shiki theme: { fg, colors }
+ * @param {Object} options - { startLine, lineCount, color }
+ * @returns {Object} { columns: number, color: string (#rrggbb), opacity: number }
+ */
+function getLineNumberGutter(theme, { startLine = DEFAULT_START_LINE, lineCount = 1, color } = {}) {
+  const lastLine = startLine + Math.max(lineCount, 1) - 1;
+  const columns = Math.max(String(lastLine).length, MIN_GUTTER_COLUMNS);
+
+  const themeColor = theme && theme.colors && theme.colors['editorLineNumber.foreground'];
+  const source = [color, themeColor].find(
+    (value) => typeof value === 'string' && HEX_COLOR.test(value)
+  );
+
+  if (source) {
+    return { columns, ...splitAlpha(source) };
+  }
+
+  const foreground = splitAlpha(
+    theme && typeof theme.fg === 'string' && HEX_COLOR.test(theme.fg) ? theme.fg : '#d4d4d4'
+  );
+  return { columns, color: foreground.color, opacity: round(foreground.opacity * FALLBACK_OPACITY) };
+}
+
+/**
+ * Split a hex color into an opaque #rrggbb color and an opacity
+ * (SVG viewers outside browsers often ignore 8-digit hex colors)
+ * @param {string} hex - #rgb, #rgba, #rrggbb or #rrggbbaa
+ * @returns {Object} { color, opacity }
+ */
+function splitAlpha(hex) {
+  let digits = hex.slice(1);
+  if (digits.length <= 4) {
+    digits = [...digits].map((digit) => digit + digit).join('');
+  }
+  return {
+    color: `#${digits.slice(0, 6).toLowerCase()}`,
+    opacity: digits.length === 8 ? round(parseInt(digits.slice(6), 16) / 255) : 1,
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  DEFAULT_START_LINE,
+  validateLineNumberOptions,
+  getLineNumberGutter,
+};
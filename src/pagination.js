@@ -0,0 +1,150 @@
+/**
+ * Pagination
+ * Splits long snippets into pages of at most maxLinesPerImage lines, keeping the
+ * original line numbers, and selects how the pages are packaged in the response
+ */
+
+const { getShiki } = require('./highlighter');
+
+const MAX_LINES_PER_IMAGE = 1000;
+const PAGE_OUTPUTS = ['json', 'zip'];
+
+// Upper bound on the number of pages a single request may produce
+const MAX_PAGES = parseInt(process.env.MAX_PAGES || '50', 10);
+
+/**
+ * Validate pagination options from the request body
+ * @param {Object} fields - { maxLinesPerImage, pageOutput }
+ *   pageOutput selects how raster/SVG pages are returned: "json" (default) or "zip";
+ *   PDF output always becomes a single multi-page document
+ * @returns {Object} { pagination } on success or { error } on invalid input
+ *   pagination: null when disabled, otherwise { maxLinesPerImage: number, pageOutput: string }
+ */
+function validatePaginationOptions({ maxLinesPerImage, pageOutput } = {}) {
+  if (maxLinesPerImage === undefined || maxLinesPerImage === null) {
+    if (pageOutput !== undefined && pageOutput !== null) {
+      return { error: 'Invalid pageOutput. Only supported together with maxLinesPerImage' };
+    }
+    return { pagination: null };
+  }
+
+  if (
+    !Number.isInteger(maxLinesPerImage) ||
+    maxLinesPerImage < 1 ||
+    maxLinesPerImage > MAX_LINES_PER_IMAGE
+  ) {
+    return {
+      error: `Invalid maxLinesPerImage. Must be an integer between 1 and ${MAX_LINES_PER_IMAGE}`,
+    };
+  }
+
+  const output = pageOutput === undefined || pageOutput === null ? 'json' : pageOutput;
+  if (!PAGE_OUTPUTS.includes(output)) {
+    return { error: `Invalid pageOutput. Must be one of: ${PAGE_OUTPUTS.join(', ')}` };
+  }
+
+  return { pagination: { maxLinesPerImage, pageOutput: output } };
+}
+
+/**
+ * Split a snippet into consecutive page ranges
+ * @param {number} lineCount - Number of highlighted lines
+ * @param {number} maxLinesPerImage - Lines per page
+ * @param {number} firstLine - Displayed number of the snippet's first line (request startLine)
+ * @returns {Array<Object>} [{ pageNumber, pageCount, startIndex, endIndex, startLine, endLine }]
+ *   startIndex/endIndex slice the snippet's lines; startLine/endLine are the displayed (inclusive) numbers
+ * @throws {Error} With statusCode 413 when the snippet needs more than MAX_PAGES pages
+ */
+function splitPages(lineCount, maxLinesPerImage, firstLine = 1) {
+  const pageCount = Math.max(1, Math.ceil(lineCount / maxLinesPerImage));
+
+  if (pageCount > MAX_PAGES) {
+    const error = new Error(
+      `Snippet would produce ${pageCount} pages. ` +
+        `Increase maxLinesPerImage or send less code (limit: ${MAX_PAGES} pages)`
+    );
+    error.statusCode = 413;
+    throw error;
+  }
+
+  return Array.from({ length: pageCount }, (_, index) => {
+    const startIndex = index * maxLinesPerImage;
+    const endIndex = Math.min(startIndex + maxLinesPerImage, lineCount);
+    return {
+      pageNumber: index + 1,
+      pageCount,
+      startIndex,
+      endIndex,
+      startLine: firstLine + startIndex,
+      endLine: firstLine + endIndex - 1,
+    };
+  });
+}
+
+/**
+ * Count the lines in Shiki's HAST output
+ * @param {Object} hast - Result of Shiki's codeToHast
+ * @returns {number} Line count
+ */
+function countHastLines(hast) {
+  return getCodeElement(hast).children.filter((node) => node.type === 'element').length;
+}
+
+/**
+ * Serialize the lines of each page from Shiki's HAST output to HTML
+ * Classes added by transformers (line annotations) are kept, since the whole snippet
+ * is highlighted once before splitting
+ * @param {Object} hast - Result of Shiki's codeToHast
+ * @param {Array<Object>} pages - Page ranges from splitPages
+ * @returns {Promise<string[]>} Highlighted HTML, one per page
+ */
+async function splitHighlightedHtml(hast, pages) {
+  const { hastToHtml } = await getShiki();
+  const code = getCodeElement(hast);
+  const lineNodes = code.children.filter((node) => node.type === 'element');
+
+  return pages.map((page) => {
+    // Lines are separated by newline text nodes inside <code>
+    const children = [];
+    lineNodes.slice(page.startIndex, page.endIndex).forEach((node, index) => {
+      if (index > 0) {
+        children.push({ type: 'text', value: '\n' });
+      }
+      children.push(node);
+    });
+
+    return hastToHtml(replaceNode(hast, code, { ...code, children }));
+  });
+}
+
+function getCodeElement(hast) {
+  const pre = hast.children.find((node) => node.tagName === 'pre');
+  const code = pre && pre.children.find((node) => node.tagName === 'code');
+  if (!code) {
+    throw new Error('Unexpected Shiki output: missing <pre><code>');
+  }
+  return code;
+}
+
+/**
+ * Copy a HAST tree with one node swapped out (the original tree is left untouched)
+ */
+function replaceNode(node, target, replacement) {
+  if (node === target) {
+    return replacement;
+  }
+  if (!node.children) {
+    return node;
+  }
+  return {
+    ...node,
+    children: node.children.map((child) => replaceNode(child, target, replacement)),
+  };
+}
+
+module.exports = {
+  validatePaginationOptions,
+  splitPages,
+  countHastLines,
+  splitHighlightedHtml,
+};
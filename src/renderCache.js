@@ -0,0 +1,170 @@
+/**
+ * Render Cache
+ * Content-addressed cache of successful renders: the key is a hash of the normalized
+ * request and the renderer version, so identical requests skip Shiki and Chrome and
+ * clients can revalidate with If-None-Match
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+
+// Bump when a change alters the output of an unchanged request (invalidates old entries)
+const RENDER_CACHE_VERSION = 1;
+
+// Everything that can change the bytes rendered for the same request
+const RENDERER_VERSION = [
+  `code-to-image@${require('../package.json').version}`,
+  `shiki@${require('shiki/package.json').version}`,
+  `chromium@${require('@sparticuz/chromium/package.json').version}`,
+  `cache@${RENDER_CACHE_VERSION}`,
+].join(' ');
+
+const RENDER_CACHE_ENABLED = process.env.RENDER_CACHE !== 'false';
+const CACHE_KEY_PREFIX = 'renders/';
+
+/**
+ * Compute the cache key of a request
+ * The request is normalized first: object keys are sorted and null/undefined values
+ * dropped, so equivalent JSON bodies share a key
+ * @param {Object} body - Parsed request body
+ * @returns {string} SHA-256 hex digest
+ */
+function getRenderCacheKey(body) {
+  const normalized = JSON.stringify(normalize({ renderer: RENDERER_VERSION, request: body }));
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Render a request through the cache
+ * Hits are served from storage; successful misses are stored. Every 200 response
+ * carries an ETag, and a matching If-None-Match returns 304 without rendering.
+ * Storage errors are logged and never fail the render
+ * @param {Object} body - Parsed request body
+ * @param {Function} render - async (body) => API Gateway response
+ * @param {Object} options - { ifNoneMatch: If-None-Match request header }
+ * @returns {Promise<Object>} API Gateway response
+ */
+async function withRenderCache(body, render, { ifNoneMatch } = {}) {
+  const key = getRenderCacheKey(body);
+  const etag = `"${key}"`;
+
+  // The ETag identifies the request, so a client holding it already has this output
+  if (matchesETag(ifNoneMatch, etag)) {
+    return {
+      statusCode: 304,
+      headers: {
+        ETag: etag,
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'public, max-age=3600',
+      },
+      body: '',
+    };
+  }
+
+  let storage = null;
+  if (RENDER_CACHE_ENABLED) {
+    try {
+      storage = getStorage();
+      const entry = storage && (await storage.get(`${CACHE_KEY_PREFIX}${key}`));
+      if (entry) {
+        console.log(`Render cache hit: ${key}`);
+        return fromCacheEntry(entry, etag);
+      }
+    } catch (error) {
+      console.error('Render cache read failed:', error);
+    }
+  }
+
+  const response = await render(body);
+  if (response.statusCode !== 200) {
+    return response;
+  }
+
+  response.headers.ETag = etag;
+  if (storage) {
+    response.headers['X-Cache'] = 'MISS';
+    try {
+      await storage.put(`${CACHE_KEY_PREFIX}${key}`, toCacheData(response), {
+        contentType: response.headers['Content-Type'],
+        metadata: {
+          'body-encoding': response.isBase64Encoded ? 'base64' : 'utf8',
+          'response-headers': JSON.stringify(response.headers),
+        },
+      });
+    } catch (error) {
+      console.error('Render cache write failed:', error);
+    }
+  }
+
+  return response;
+}
+
+/**
+ * Rebuild a response from a cache entry
+ * @param {Object} entry - { data, metadata } from storage
+ * @param {string} etag - ETag of the request
+ * @returns {Object} API Gateway response
+ */
+function fromCacheEntry(entry, etag) {
+  const isBase64Encoded = entry.metadata['body-encoding'] === 'base64';
+  return {
+    statusCode: 200,
+    headers: {
+      ...JSON.parse(entry.metadata['response-headers'] || '{}'),
+      ETag: etag,
+      'X-Cache': 'HIT',
+    },
+    body: isBase64Encoded ? entry.data.toString('base64') : entry.data.toString('utf8'),
+    isBase64Encoded,
+  };
+}
+
+/**
+ * Get the stored bytes of a response body (binary bodies are base64 in the response)
+ * @param {Object} response - API Gateway response
+ * @returns {Buffer}
+ */
+function toCacheData(response) {
+  return Buffer.from(response.body, response.isBase64Encoded ? 'base64' : 'utf8');
+}
+
+/**
+ * Check an If-None-Match header against an ETag
+ * @param {string} header - Header value: "*", or a list of (weak) entity tags
+ * @param {string} etag - Quoted ETag
+ * @returns {boolean}
+ */
+function matchesETag(header, etag) {
+  if (!header) {
+    return false;
+  }
+  return header
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .some((tag) => tag === '*' || tag === etag);
+}
+
+/**
+ * Normalize a JSON value: sorted object keys, null/undefined entries dropped
+ * @param {*} value - JSON value
+ * @returns {*} Normalized copy
+ */
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter((key) => value[key] !== undefined && value[key] !== null)
+        .sort()
+        .map((key) => [key, normalize(value[key])])
+    );
+  }
+  return value;
+}
+
+module.exports = {
+  getRenderCacheKey,
+  withRenderCache,
+};
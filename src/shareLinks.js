@@ -0,0 +1,244 @@
+/**
+ * Share Links
+ * Stores rendered images under short random IDs and serves them publicly from
+ * GET /i/{id}.{ext}, so links can be pasted instead of uploading files.
+ * Each image records its owner (the auth principal id, e.g. the JAAS apiKeyId) and an expiry date
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { getFileExtension } = require('./formats');
+
+const DEFAULT_EXPIRY_DAYS = parseInt(process.env.SHARE_EXPIRY_DAYS || '30', 10);
+const MAX_EXPIRY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Public base URL of the API (e.g. https://img.example.com); derived from the request when unset
+const SHARE_BASE_URL = (process.env.SHARE_BASE_URL || '').replace(/\/+$/, '');
+
+// 9 random bytes: 12 URL-safe characters
+const ID_BYTES = 9;
+const SHARE_PATH = /\/i\/([A-Za-z0-9_-]{12})\.([a-z0-9]+)$/;
+
+/**
+ * Validate the share options of a request and separate them from the render options
+ * @param {Object} body - Parsed request body: { share, shareExpiresInDays, ...renderOptions }
+ * @returns {Object} { share, request } on success or { error } on invalid input
+ *   share: { expiresInDays } or null when not requested; request: body without share options
+ */
+function validateShareOptions(body) {
+  const { share, shareExpiresInDays, ...request } = body || {};
+
+  if (share === undefined || share === null || share === false) {
+    if (shareExpiresInDays !== undefined && shareExpiresInDays !== null) {
+      return { error: 'Invalid shareExpiresInDays. Only supported with share: true' };
+    }
+    return { share: null, request };
+  }
+  if (share !== true) {
+    return { error: 'Invalid share. Must be true or false' };
+  }
+
+  let expiresInDays = DEFAULT_EXPIRY_DAYS;
+  if (shareExpiresInDays !== undefined && shareExpiresInDays !== null) {
+    if (
+      !Number.isInteger(shareExpiresInDays) ||
+      shareExpiresInDays < 1 ||
+      shareExpiresInDays > MAX_EXPIRY_DAYS
+    ) {
+      return {
+        error: `Invalid shareExpiresInDays. Must be an integer between 1 and ${MAX_EXPIRY_DAYS}`,
+      };
+    }
+    expiresInDays = shareExpiresInDays;
+  }
+
+  return { share: { expiresInDays }, request };
+}
+
+/**
+ * Store a successful render and replace it with a share link response
+ * @param {Object} response - 200 response from the render pipeline
+ * @param {Object} options - { request, share, ownerId, baseUrl }
+ *   request: render options stored next to the image; baseUrl from getPublicBaseUrl
+ * @returns {Promise<Object>} API Gateway response: { id, url, expiresAt, mimeType } or an error
+ */
+async function createShareLink(response, { request, share, ownerId, baseUrl }) {
+  const storage = getStorage();
+  if (!storage) {
+    return jsonResponse(501, { error: 'Image sharing is not configured (STORAGE_BACKEND is not set)' });
+  }
+
+  const file = getResponseFile(response);
+  if (!file) {
+    return jsonResponse(400, {
+      error: 'Invalid share. Paginated output can only be shared with pageOutput "zip" or format "pdf"',
+    });
+  }
+
+  const id = crypto.randomBytes(ID_BYTES).toString('base64url');
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + share.expiresInDays * DAY_MS);
+  const record = {
+    id,
+    ownerId: ownerId === undefined || ownerId === null ? null : String(ownerId),
+    extension: file.extension,
+    mimeType: file.mimeType,
+    createdAt: createdAt.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+  };
+
+  // Image, its source request, and an owner index entry for listing/deleting later
+  await storage.put(`shares/${id}`, file.data, {
+    contentType: file.mimeType,
+    metadata: {
+      'owner-id': record.ownerId || '',
+      extension: record.extension,
+      'created-at': record.createdAt,
+      'expires-at': record.expiresAt,
+    },
+  });
+  await storage.put(`shares/${id}.request.json`, Buffer.from(JSON.stringify(request)), {
+    contentType: 'application/json',
+  });
+  if (record.ownerId) {
+    await storage.put(
+      getOwnerIndexKey(record.ownerId, id),
+      Buffer.from(JSON.stringify(record)),
+      { contentType: 'application/json' }
+    );
+  }
+
+  console.log(`Shared image ${id} (owner ${record.ownerId}, expires ${record.expiresAt})`);
+
+  return jsonResponse(200, {
+    id,
+    url: `${baseUrl}/i/${id}.${file.extension}`,
+    mimeType: file.mimeType,
+    expiresAt: record.expiresAt,
+  });
+}
+
+/**
+ * Check whether an API Gateway event is a shared image request
+ * @param {Object} event - API Gateway proxy event
+ * @returns {boolean}
+ */
+function isSharedImageRoute(event) {
+  return event.httpMethod === 'GET' && SHARE_PATH.test(event.path || '');
+}
+
+/**
+ * Serve a shared image (public, no API key)
+ * Unknown IDs or a wrong extension return 404, expired images 410 (and are deleted)
+ * @param {Object} event - API Gateway proxy event for GET /i/{id}.{ext}
+ * @returns {Promise<Object>} API Gateway response
+ */
+async function getSharedImage(event) {
+  const [, id, extension] = event.path.match(SHARE_PATH);
+  const storage = getStorage();
+  const entry = storage && (await storage.get(`shares/${id}`));
+
+  if (!entry || entry.metadata.extension !== extension) {
+    return jsonResponse(404, { error: 'Image not found' });
+  }
+
+  const remainingMs = new Date(entry.metadata['expires-at']).getTime() - Date.now();
+  if (!(remainingMs > 0)) {
+    const ownerId = entry.metadata['owner-id'];
+    await Promise.all([
+      storage.delete(`shares/${id}`),
+      storage.delete(`shares/${id}.request.json`),
+      // The owner index would otherwise list a dead link forever
+      ...(ownerId ? [storage.delete(getOwnerIndexKey(ownerId, id))] : []),
+    ]).catch((error) => console.error(`Failed to delete expired image ${id}:`, error));
+    return jsonResponse(410, { error: 'Image link has expired' });
+  }
+
+  const isText = entry.contentType === 'image/svg+xml';
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': entry.contentType,
+      'Access-Control-Allow-Origin': '*',
+      // Cacheable until the link expires (at most a day, so deletions propagate)
+      'Cache-Control': `public, max-age=${Math.floor(Math.min(remainingMs, DAY_MS) / 1000)}`,
+    },
+    body: isText ? entry.data.toString('utf8') : entry.data.toString('base64'),
+    isBase64Encoded: !isText,
+  };
+}
+
+/**
+ * Get the public base URL for share links
+ * SHARE_BASE_URL wins; otherwise the Host header plus the stage/base path the
+ * request came in on (requestContext.path minus the resource path)
+ * @param {Object} event - API Gateway proxy event
+ * @returns {string} Base URL without trailing slash
+ */
+function getPublicBaseUrl(event) {
+  if (SHARE_BASE_URL) {
+    return SHARE_BASE_URL;
+  }
+
+  const headers = event.headers || {};
+  const host = headers.Host || headers.host || 'localhost';
+  const protocol = (headers['X-Forwarded-Proto'] || headers['x-forwarded-proto'] || 'https').split(',')[0];
+  const fullPath = (event.requestContext && event.requestContext.path) || '';
+  const basePath =
+    event.path && fullPath.endsWith(event.path) ? fullPath.slice(0, -event.path.length) : '';
+
+  return `${protocol}://${host}${basePath}`;
+}
+
+/**
+ * Extract the single file of a render response
+ * @param {Object} response - 200 response from the render pipeline
+ * @returns {Object|null} { data: Buffer, mimeType, extension } or null for JSON page output
+ */
+function getResponseFile(response) {
+  const contentType = response.headers['Content-Type'];
+
+  if (contentType === 'application/json') {
+    // format "base64": { data, mimeType, fileName }
+    const payload = JSON.parse(response.body);
+    if (!payload.data) {
+      return null;
+    }
+    return {
+      data: Buffer.from(payload.data, 'base64'),
+      mimeType: payload.mimeType,
+      extension: getFileExtension(payload.mimeType),
+    };
+  }
+
+  return {
+    data: Buffer.from(response.body, response.isBase64Encoded ? 'base64' : 'utf8'),
+    mimeType: contentType,
+    extension: getFileExtension(contentType),
+  };
+}
+
+// Owner index entry of a shared image (lists a principal's links)
+function getOwnerIndexKey(ownerId, id) {
+  return `owners/${encodeURIComponent(ownerId)}/shares/${id}.json`;
+}
+
+function jsonResponse(statusCode, payload) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+    body: JSON.stringify(payload),
+  };
+}
+
+module.exports = {
+  validateShareOptions,
+  createShareLink,
+  isSharedImageRoute,
+  getSharedImage,
+  getPublicBaseUrl,
+};
@@ -0,0 +1,315 @@
+/**
+ * Signed URLs
+ * GET /generate takes the request in the query string (code deflated and base64url
+ * encoded) so images can be embedded in <img src> and Markdown. Signed URLs carry
+ * the API key encrypted (AES-256-GCM) plus an HMAC over every parameter and the key,
+ * so embeds work without exposing the key and can't be altered
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const URL_SIGNING_SECRET = process.env.URL_SIGNING_SECRET || '';
+
+const SIGN_PATH = '/generate/sign';
+
+// Decompressed code limit (guards against deflate bombs)
+const MAX_CODE_BYTES = 256 * 1024;
+
+// Longest lifetime of a signed URL, in seconds (one year)
+const MAX_EXPIRES_IN = 365 * 24 * 60 * 60;
+
+// Lifetime when the request doesn't set expiresIn, in seconds (default: 30 days)
+const DEFAULT_EXPIRES_IN = Math.min(
+  parseInt(process.env.SIGNED_URL_EXPIRES_IN || String(30 * 24 * 60 * 60), 10),
+  MAX_EXPIRES_IN
+);
+
+// Parameters added by signing; everything else is a render option
+const SIGNATURE_PARAMS = ['k', 'exp', 'sig'];
+
+// Render options accepted in the query string and how their string values are parsed
+const QUERY_PARAMS = {
+  mode: 'string',
+  language: 'string',
+  filename: 'string',
+  theme: 'theme',
+  format: 'string',
+  base64Format: 'string',
+  quality: 'number',
+  background: 'string',
+  padding: 'number',
+  showLineNumbers: 'boolean',
+  startLine: 'number',
+  lineNumberColor: 'string',
+  showWindowControls: 'boolean',
+  windowStyle: 'string',
+  title: 'string',
+  showLanguageIcon: 'boolean',
+  fontFamily: 'string',
+  fontSize: 'number',
+  lineHeight: 'number',
+  tabSize: 'number',
+  fontLigatures: 'boolean',
+  scale: 'number',
+  width: 'number',
+  aspectRatio: 'string',
+  highlightLines: 'json',
+  focusLines: 'json',
+  diffLines: 'json',
+  maxLinesPerImage: 'number',
+  pageOutput: 'string',
+};
+
+/**
+ * Check whether an API Gateway event targets the signing route
+ * @param {Object} event - API Gateway proxy event
+ * @returns {boolean}
+ */
+function isSignRoute(event) {
+  const path = (event.resource || event.path || '').replace(/\/+$/, '');
+  return path.endsWith(SIGN_PATH);
+}
+
+/**
+ * Build a signed GET /generate URL for a request body
+ * @param {Object} body - Same fields as POST /generate, plus expiresIn (seconds, default SIGNED_URL_EXPIRES_IN)
+ * @param {string} apiKey - API key the embed renders with (and is charged to)
+ * @param {string} baseUrl - Public base URL of the API
+ * @returns {Object} { url, expiresAt } on success or { error, statusCode } on failure
+ */
+function createSignedUrl(body, apiKey, baseUrl) {
+  if (!URL_SIGNING_SECRET) {
+    return { error: 'URL signing is not configured (URL_SIGNING_SECRET is not set)', statusCode: 501 };
+  }
+
+  const { code, expiresIn, ...options } = body || {};
+  if (!code || typeof code !== 'string') {
+    return { error: 'Missing required field: code', statusCode: 400 };
+  }
+
+  const params = { code: encodeCode(code) };
+  for (const [name, value] of Object.entries(options)) {
+    if (value === undefined || value === null) continue;
+    if (!Object.hasOwn(QUERY_PARAMS, name)) {
+      return { error: `Unsupported parameter for signed URLs: ${name}`, statusCode: 400 };
+    }
+    params[name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  const lifetime = expiresIn === undefined || expiresIn === null ? DEFAULT_EXPIRES_IN : expiresIn;
+  if (!Number.isInteger(lifetime) || lifetime < 1 || lifetime > MAX_EXPIRES_IN) {
+    return {
+      error: `Invalid expiresIn. Must be an integer number of seconds between 1 and ${MAX_EXPIRES_IN}`,
+      statusCode: 400,
+    };
+  }
+  const expiresAt = Math.floor(Date.now() / 1000) + lifetime;
+  params.exp = String(expiresAt);
+
+  params.k = encryptApiKey(apiKey);
+  params.sig = sign(params, apiKey);
+
+  return {
+    url: `${baseUrl}/generate?${new URLSearchParams(params).toString()}`,
+    expiresAt: new Date(expiresAt * 1000).toISOString(),
+  };
+}
+
+/**
+ * Turn GET /generate query parameters into a request body
+ * Signed URLs (k + sig) are verified and yield the embedded API key; unsigned
+ * requests must send the API key in a header as usual
+ * @param {Object} query - event.queryStringParameters
+ * @returns {Object} { body, apiKey } on success (apiKey null when unsigned)
+ *   or { error, statusCode } on failure
+ */
+function parseQueryRequest(query) {
+  const params = query || {};
+
+  let apiKey = null;
+  if (params.sig || params.k) {
+    const verified = verifySignature(params);
+    if (verified.error) {
+      return verified;
+    }
+    apiKey = verified.apiKey;
+  }
+
+  if (!params.code) {
+    return { error: 'Missing required query parameter: code', statusCode: 400 };
+  }
+
+  const code = decodeCode(params.code);
+  if (code === null) {
+    return {
+      error: 'Invalid code. Must be deflate-compressed UTF-8, base64url encoded',
+      statusCode: 400,
+    };
+  }
+
+  const body = { code };
+  for (const [name, value] of Object.entries(params)) {
+    if (name === 'code' || SIGNATURE_PARAMS.includes(name)) continue;
+    if (!Object.hasOwn(QUERY_PARAMS, name)) {
+      return { error: `Unknown query parameter: ${name}`, statusCode: 400 };
+    }
+    body[name] = parseParam(value, QUERY_PARAMS[name]);
+  }
+
+  return { body, apiKey };
+}
+
+/**
+ * Verify a signed query and decrypt its API key
+ * @param {Object} params - Query parameters including k, sig and optionally exp
+ * @returns {Object} { apiKey } or { error, statusCode }
+ */
+function verifySignature(params) {
+  if (!URL_SIGNING_SECRET) {
+    return { error: 'URL signing is not configured (URL_SIGNING_SECRET is not set)', statusCode: 501 };
+  }
+  if (!params.k || !params.sig) {
+    return { error: 'Invalid signed URL', statusCode: 403 };
+  }
+
+  const apiKey = decryptApiKey(params.k);
+  const expected = apiKey && Buffer.from(sign(params, apiKey));
+  const actual = Buffer.from(String(params.sig));
+  if (!expected || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: 'Invalid signed URL', statusCode: 403 };
+  }
+
+  if (params.exp && Number(params.exp) * 1000 < Date.now()) {
+    return { error: 'Signed URL has expired', statusCode: 403 };
+  }
+
+  return { apiKey };
+}
+
+/**
+ * Sign query parameters: HMAC-SHA256 over the sorted parameters (without sig) and
+ * the API key, so a signature is only valid for the key it was issued to
+ * @param {Object} params - Query parameters
+ * @param {string} apiKey - Plain API key
+ * @returns {string} base64url signature
+ */
+function sign(params, apiKey) {
+  const canonical = Object.keys(params)
+    .filter((name) => name !== 'sig')
+    .sort()
+    .map((name) => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+    .join('&');
+
+  return crypto
+    .createHmac('sha256', deriveKey('signing'))
+    .update(`${canonical}\n${apiKey}`)
+    .digest('base64url');
+}
+
+/**
+ * Encrypt an API key for a URL: base64url(iv | ciphertext | auth tag)
+ * @param {string} apiKey - Plain API key
+ * @returns {string}
+ */
+function encryptApiKey(apiKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey('encryption'), iv);
+  const ciphertext = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]).toString('base64url');
+}
+
+/**
+ * Decrypt an API key from a URL
+ * @param {string} value - Output of encryptApiKey
+ * @returns {string|null} Plain API key, or null if the value was tampered with
+ */
+function decryptApiKey(value) {
+  try {
+    const data = Buffer.from(String(value), 'base64url');
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      deriveKey('encryption'),
+      data.subarray(0, 12)
+    );
+    decipher.setAuthTag(data.subarray(data.length - 16));
+    return Buffer.concat([
+      decipher.update(data.subarray(12, data.length - 16)),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Derive a purpose-specific 256-bit key from URL_SIGNING_SECRET
+ * @param {string} purpose - "signing" or "encryption"
+ * @returns {Buffer}
+ */
+function deriveKey(purpose) {
+  return Buffer.from(
+    crypto.hkdfSync('sha256', URL_SIGNING_SECRET, '', `code-to-image ${purpose}`, 32)
+  );
+}
+
+/**
+ * Compress code for a URL: raw deflate, base64url encoded
+ * @param {string} code - Source code
+ * @returns {string}
+ */
+function encodeCode(code) {
+  return zlib.deflateRawSync(Buffer.from(code, 'utf8')).toString('base64url');
+}
+
+/**
+ * Decode code from a URL (inverse of encodeCode)
+ * @param {string} value - base64url deflated code
+ * @returns {string|null} Source code, or null if the value can't be decoded
+ */
+function decodeCode(value) {
+  try {
+    return zlib
+      .inflateRawSync(Buffer.from(value, 'base64url'), { maxOutputLength: MAX_CODE_BYTES })
+      .toString('utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse a query string value; values that don't parse are passed on as strings
+ * so the regular validation reports them
+ * @param {string} value - Raw query value
+ * @param {string} type - 'string' | 'number' | 'boolean' | 'json' | 'theme'
+ * @returns {*}
+ */
+function parseParam(value, type) {
+  switch (type) {
+    case 'number':
+      return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'json':
+      return parseJson(value);
+    case 'theme':
+      // Theme names stay strings; inline theme objects are JSON
+      return value.trim().startsWith('{') ? parseJson(value) : value;
+    default:
+      return value;
+  }
+}
+
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+module.exports = {
+  isSignRoute,
+  createSignedUrl,
+  parseQueryRequest,
+};
@@ -0,0 +1,88 @@
+/**
+ * Filesystem Storage Backend
+ * Local stand-in for S3 (offline development, self-hosting): each file is stored
+ * next to a JSON sidecar holding its content type and metadata
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Create a filesystem storage backend
+ * @param {Object} options - { directory }
+ * @returns {Object} Storage backend: { name, get, put, delete }
+ */
+function createFileStorage({ directory } = {}) {
+  if (!directory) {
+    throw new Error('STORAGE_DIR environment variable is not set');
+  }
+
+  const root = path.resolve(directory);
+
+  // Keys may contain "/" (prefixes) but must stay inside the storage directory
+  const filePath = (key) => {
+    const resolved = path.resolve(root, key);
+    if (!resolved.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  };
+
+  return {
+    name: 'filesystem',
+
+    /**
+     * Read a file
+     * @param {string} key - Storage key
+     * @returns {Promise<Object|null>} { data: Buffer, contentType, metadata } or null if missing
+     */
+    async get(key) {
+      const file = filePath(key);
+      try {
+        const [data, sidecar] = await Promise.all([
+          fs.readFile(file),
+          fs.readFile(`${file}.meta.json`, 'utf8'),
+        ]);
+        const { contentType, metadata } = JSON.parse(sidecar);
+        return { data, contentType, metadata: metadata || {} };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Write a file
+     * Written to a temporary name first so readers never see partial files
+     * @param {string} key - Storage key
+     * @param {Buffer} data - File contents
+     * @param {Object} options - { contentType, metadata: { [name]: string } }
+     */
+    async put(key, data, { contentType, metadata = {} } = {}) {
+      const file = filePath(key);
+      const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+
+      await fs.writeFile(`${temp}.meta.json`, JSON.stringify({ contentType, metadata }));
+      await fs.writeFile(temp, data);
+      await fs.rename(`${temp}.meta.json`, `${file}.meta.json`);
+      await fs.rename(temp, file);
+    },
+
+    /**
+     * Delete a file (missing files are ignored)
+     * @param {string} key - Storage key
+     */
+    async delete(key) {
+      const file = filePath(key);
+      await Promise.all([
+        fs.rm(file, { force: true }),
+        fs.rm(`${file}.meta.json`, { force: true }),
+      ]);
+    },
+  };
+}
+
+module.exports = { createFileStorage };
@@ -0,0 +1,55 @@
+/**
+ * Storage
+ * Selects the backend that stores rendered files (render cache, short URLs):
+ * S3 in production, a local directory for offline development
+ */
+
+const os = require('os');
+const path = require('path');
+
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'none').toLowerCase();
+const STORAGE_BUCKET = process.env.STORAGE_BUCKET || '';
+const STORAGE_PREFIX = process.env.STORAGE_PREFIX || '';
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(os.tmpdir(), 'code-to-image-storage');
+
+// Module-level backend (persists across warm Lambda invocations); null when disabled
+let storage;
+
+/**
+ * Get the configured storage backend
+ * @returns {Object|null} Storage backend ({ name, get, put, delete }) or null if STORAGE_BACKEND is "none"
+ */
+function getStorage() {
+  if (storage === undefined) {
+    storage = createStorage(STORAGE_BACKEND);
+    if (storage) {
+      console.log(`Using ${storage.name} storage`);
+    }
+  }
+  return storage;
+}
+
+/**
+ * Create a storage backend by name
+ * Backends are required lazily so the AWS SDK is only loaded when S3 is used
+ * @param {string} backend - "s3", "filesystem" or "none"
+ * @returns {Object|null} Storage backend or null
+ */
+function createStorage(backend) {
+  switch (backend) {
+    case 's3': {
+      const { createS3Storage } = require('./s3Storage');
+      return createS3Storage({ bucket: STORAGE_BUCKET, prefix: STORAGE_PREFIX });
+    }
+    case 'filesystem': {
+      const { createFileStorage } = require('./fileStorage');
+      return createFileStorage({ directory: STORAGE_DIR });
+    }
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Invalid STORAGE_BACKEND "${backend}". Must be one of: s3, filesystem, none`);
+  }
+}
+
+module.exports = { getStorage };
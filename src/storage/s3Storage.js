@@ -0,0 +1,82 @@
+/**
+ * S3 Storage Backend
+ * Stores rendered files as S3 objects (content type and metadata on the object)
+ */
+
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Create an S3 storage backend
+ * @param {Object} options - { bucket, prefix, region }
+ * @returns {Object} Storage backend: { name, get, put, delete }
+ */
+function createS3Storage({ bucket, prefix = '', region } = {}) {
+  if (!bucket) {
+    throw new Error('STORAGE_BUCKET environment variable is not set');
+  }
+
+  const client = new S3Client({
+    region: region || process.env.AWS_REGION || 'us-east-1',
+  });
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+
+    /**
+     * Read an object
+     * @param {string} key - Storage key
+     * @returns {Promise<Object|null>} { data: Buffer, contentType, metadata } or null if missing
+     */
+    async get(key) {
+      try {
+        const response = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) })
+        );
+        return {
+          data: Buffer.from(await response.Body.transformToByteArray()),
+          contentType: response.ContentType,
+          metadata: response.Metadata || {},
+        };
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Write an object
+     * @param {string} key - Storage key
+     * @param {Buffer} data - File contents
+     * @param {Object} options - { contentType, metadata: { [name]: string } }
+     */
+    async put(key, data, { contentType, metadata = {} } = {}) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: data,
+          ContentType: contentType,
+          Metadata: metadata,
+        })
+      );
+    },
+
+    /**
+     * Delete an object (missing objects are ignored)
+     * @param {string} key - Storage key
+     */
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+  };
+}
+
+module.exports = { createS3Storage };
@@ -1,39 +1,684 @@
 /**
  * SVG Generator
- * Generates SVG images without browser (pure Node.js string manipulation)
- * Fast and lightweight - no Puppeteer needed
- */
-
-function generateSVG(htmlContent, options = {}) {
-  const { width = 1200, height = 800 } = options;
-
-  // Extract styles from head section
-  const styleMatch = htmlContent.match(/<style>([\s\S]*?)<\/style>/i);
-  const styles = styleMatch ? styleMatch[1] : '';
-
-  // Extract body content (everything inside body tags)
-  const bodyMatch = htmlContent.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
-  const bodyContent = bodyMatch ? bodyMatch[1] : htmlContent;
-
-  // Wrap HTML content in SVG foreignObject
-  // Note: foreignObject requires XHTML namespace for proper rendering
-  const svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg"
-     xmlns:xlink="http://www.w3.org/1999/xlink"
-     width="${width}"
-     height="${height}"
-     viewBox="0 0 ${width} ${height}">
-  <foreignObject width="100%" height="100%">
-    <div xmlns="http://www.w3.org/1999/xhtml">
-      <style>
-        ${styles}
-      </style>
-      ${bodyContent}
-    </div>
-  </foreignObject>
+ * Renders Shiki tokens into a self-contained vector SVG (no browser needed)
+ * Uses plain <text>/<tspan>/<rect> elements so the output renders in Figma,
+ * Inkscape, GitHub (camo) and rasterizers that don't support foreignObject
+ */
+
+const { hasLineAnnotations, getLineDecoration } = require('./lineAnnotations');
+const { DEFAULT_FONT_FAMILY, getFontStack, getFontFaceCss } = require('./fonts');
+const { DEFAULT_TYPOGRAPHY } = require('./typography');
+const { computeFrame } = require('./frame');
+const { DEFAULT_BACKGROUND } = require('./backgrounds');
+const { DEFAULT_START_LINE, getLineNumberGutter } = require('./lineNumbers');
+const {
+  TITLE_FONT_SIZE,
+  DOT_RADIUS,
+  DOT_GAP,
+  DOT_INSET,
+  DOT_COLORS,
+  CAPTION_BUTTON_WIDTH,
+  ROUND_BUTTON_RADIUS,
+  ROUND_BUTTON_GAP,
+  WINDOW_BUTTON_ICONS,
+  WINDOW_BUTTONS,
+  BADGE_FONT_SIZE,
+  BADGE_HEIGHT,
+  BADGE_GAP,
+  getTitleBar,
+} = require('./windowChrome');
+
+// Layout metrics - keep in sync with the CSS in htmlTemplate.js
+const CHAR_WIDTH_EM = 0.6; // Advance width of a monospace glyph (all bundled fonts: 600/1000 em)
+const MIN_WINDOW_WIDTH = 600; // .code-window min-width
+const MIN_CONTENT_HEIGHT = 50; // .code-content min-height
+const CODE_PADDING = 20; // .code-display pre padding
+const OUTER_RADIUS = 12;
+const CARD_RADIUS = 8;
+const CARD_BACKGROUND = '#1e1e1e';
+const HIGHLIGHT_FILL = { color: '#657585', opacity: 0.25 };
+const DIFF_STYLES = {
+  add: { marker: '+', markerColor: '#3fb950', color: '#2ea043', opacity: 0.2 },
+  remove: { marker: '-', markerColor: '#f85149', color: '#f85149', opacity: 0.2 },
+};
+const DIMMED_OPACITY = 0.4;
+const CONTINUED_HEIGHT = 28; // .continued height (overlaps the 20px pre padding)
+const CONTINUED_FONT_SIZE = 12;
+const CONTINUED_COLOR = '#888';
+
+// Shiki FontStyle bit flags
+const FONT_STYLE_ITALIC = 1;
+const FONT_STYLE_BOLD = 2;
+const FONT_STYLE_UNDERLINE = 4;
+const FONT_STYLE_STRIKETHROUGH = 8;
+
+/**
+ * Generate an SVG image from Shiki tokens
+ * @param {Object} tokenResult - Result of Shiki's codeToTokens: { tokens, fg, bg }
+ * @param {Object} options - Rendering options
+ * @param {Object} options.background - Background descriptor from backgrounds.js
+ * @param {number} options.padding - Padding around the code card in pixels
+ * @param {boolean} options.showLineNumbers - Render a line-number gutter
+ * @param {boolean} options.showWindowControls - Render the macOS-style window dots (when windowChrome is omitted)
+ * @param {Object} options.windowChrome - Validated title bar options from windowChrome.js: { style, title, showLanguageIcon }
+ * @param {string} options.language - Highlighted language, for the title bar badge
+ * @param {string} options.cardBackground - Code card color (defaults to the theme background)
+ * @param {string} options.fontFamily - Bundled font id (see fonts.js), embedded as @font-face
+ * @param {number} options.fontSize - Font size in pixels
+ * @param {number} options.lineHeight - Line height as a multiple of the font size
+ * @param {number} options.tabSize - Columns per tab stop
+ * @param {boolean} options.fontLigatures - Enable programming ligatures
+ * @param {Object} options.frame - Validated frame options from frame.js (width / aspect ratio)
+ * @param {Object} options.lineAnnotations - Parsed highlight/focus/diff annotations (see lineAnnotations.js)
+ * @param {number} options.startLine - Line number of the first token line (annotations use the same numbering)
+ * @param {Object} options.lineNumberGutter - { columns, color, opacity } from lineNumbers.js
+ *   (derived from the theme foreground and the snippet when omitted)
+ * @param {number} options.pageNumber - Page of a paginated snippet, for "continued" markers
+ * @param {number} options.pageCount - Total pages of a paginated snippet
+ * @param {number} options.minColumns - Minimum code width in columns (keeps pages equally wide)
+ * @returns {string} SVG document
+ */
+function generateSVG(tokenResult, options = {}) {
+  const {
+    background = DEFAULT_BACKGROUND,
+    padding = 64,
+    showLineNumbers = true,
+    lineAnnotations = null,
+    language,
+    cardBackground = tokenResult.bg || CARD_BACKGROUND,
+    fontFamily = DEFAULT_FONT_FAMILY,
+    fontSize = DEFAULT_TYPOGRAPHY.fontSize,
+    fontLigatures = DEFAULT_TYPOGRAPHY.fontLigatures,
+    frame = {},
+    startLine = DEFAULT_START_LINE,
+    pageNumber = 1,
+    pageCount = 1,
+  } = options;
+
+  const {
+    metrics,
+    lines,
+    gutter,
+    titleBar,
+    showDiffGutter,
+    continuedFrom,
+    continuedOn,
+    layout: natural,
+  } = prepareLayout(tokenResult, options);
+  const { width: naturalWidth, height: naturalHeight, cardWidth, cardHeight } = natural;
+  const foreground = tokenResult.fg || '#d4d4d4';
+  // Numbers only: option values are interpolated into attributes unescaped
+  const cardX = Number(padding);
+  const cardY = Number(padding);
+
+  // Center the padded card in the requested frame (scaled down if it doesn't fit)
+  const layout = computeFrame(naturalWidth, naturalHeight, frame);
+  const { width, height } = layout;
+
+  const defs = [`<style>${getFontFaceCss(fontFamily)}</style>`];
+  const body = [];
+
+  // Outer background (gradient, solid color or image; nothing when transparent)
+  body.push(buildBackground(background, { width, height }, defs));
+
+  // Code card with drop shadow; children are clipped to its rounded corners
+  defs.push(
+    `<filter id="card-shadow" x="-20%" y="-20%" width="140%" height="160%">` +
+      `<feDropShadow dx="0" dy="20" stdDeviation="30" flood-color="#000" flood-opacity="0.3"/>` +
+      `</filter>`
+  );
+  defs.push(
+    `<clipPath id="card-clip"><rect x="${cardX}" y="${cardY}" width="${cardWidth}" height="${cardHeight}" rx="${CARD_RADIUS}"/></clipPath>`
+  );
+  body.push(
+    `<rect x="${cardX}" y="${cardY}" width="${cardWidth}" height="${cardHeight}" rx="${CARD_RADIUS}" fill="${escapeXml(cardBackground)}" filter="url(#card-shadow)"/>`
+  );
+
+  const cardContent = [];
+  let contentY = cardY;
+
+  if (titleBar.height) {
+    cardContent.push(
+      ...renderTitleBar(titleBar, { x: cardX, y: cardY, width: cardWidth, foreground })
+    );
+    contentY += titleBar.height;
+  }
+
+  // "continued" rows replace the top/bottom code padding on paginated snippets
+  const codeTop = contentY + (continuedFrom ? CONTINUED_HEIGHT : CODE_PADDING);
+  const continuedBaselineOffset =
+    (CONTINUED_HEIGHT - CONTINUED_FONT_SIZE) / 2 + CONTINUED_FONT_SIZE * 0.8;
+  if (continuedFrom) {
+    cardContent.push(
+      renderContinuedMarker(`··· continued from page ${pageNumber - 1}`, cardX, contentY + continuedBaselineOffset)
+    );
+  }
+  if (continuedOn) {
+    const markerTop = codeTop + lines.length * metrics.lineHeight;
+    cardContent.push(
+      renderContinuedMarker(`continued on page ${pageNumber + 1} ···`, cardX, markerTop + continuedBaselineOffset)
+    );
+  }
+
+  const markerX = cardX + CODE_PADDING;
+  const textX = markerX + (showDiffGutter ? metrics.diffGutterWidth : 0);
+  const codeX = showLineNumbers
+    ? textX + metrics.gutterWidth + metrics.gutterMargin
+    : textX;
+  // Baseline sits roughly 0.8em below the top of the glyph box, centered in the line
+  const baselineOffset =
+    (metrics.lineHeight - metrics.fontSize) / 2 + metrics.fontSize * 0.8;
+
+  lines.forEach((lineTokens, index) => {
+    const lineNumber = startLine + index;
+    const lineTop = codeTop + index * metrics.lineHeight;
+    const y = round(lineTop + baselineOffset);
+    const decoration = getLineDecoration(lineAnnotations, lineNumber);
+    const lineContent = [];
+
+    // Row tints span the full card width, like the negative-margin .line in HTML
+    const tint = decoration.diff
+      ? DIFF_STYLES[decoration.diff]
+      : decoration.highlighted
+        ? HIGHLIGHT_FILL
+        : null;
+    if (tint) {
+      cardContent.push(
+        `<rect x="${cardX}" y="${round(lineTop)}" width="${cardWidth}" height="${metrics.lineHeight}" fill="${tint.color}" fill-opacity="${tint.opacity}"/>`
+      );
+    }
+
+    if (decoration.diff) {
+      const diffStyle = DIFF_STYLES[decoration.diff];
+      lineContent.push(
+        `<text x="${markerX}" y="${y}" fill="${diffStyle.markerColor}">${diffStyle.marker}</text>`
+      );
+    }
+
+    if (showLineNumbers) {
+      lineContent.push(
+        `<text x="${round(textX + metrics.gutterWidth)}" y="${y}" text-anchor="end" fill="${gutter.color}"${
+          gutter.opacity !== 1 ? ` fill-opacity="${gutter.opacity}"` : ''
+        }>${lineNumber}</text>`
+      );
+    }
+
+    // Token backgrounds (ANSI background colors in terminal sessions)
+    let column = 0;
+    for (const token of lineTokens) {
+      const columns = measureColumns([token]);
+      if (token.bgColor) {
+        lineContent.push(
+          `<rect x="${round(codeX + column * metrics.charWidth)}" y="${round(lineTop)}" width="${round(columns * metrics.charWidth)}" height="${metrics.lineHeight}" fill="${escapeXml(token.bgColor)}"/>`
+        );
+      }
+      column += columns;
+    }
+
+    if (lineTokens.length > 0) {
+      const spans = lineTokens
+        .map((token) => renderToken(token, foreground))
+        .join('');
+      lineContent.push(
+        `<text x="${round(codeX)}" y="${y}" xml:space="preserve">${spans}</text>`
+      );
+    }
+
+    if (decoration.dimmed && lineContent.length > 0) {
+      cardContent.push(
+        `<g opacity="${DIMMED_OPACITY}">${lineContent.join('')}</g>`
+      );
+    } else {
+      cardContent.push(...lineContent);
+    }
+  });
+
+  body.push(`<g clip-path="url(#card-clip)">${cardContent.join('')}</g>`);
+
+  // Everything but the frame background lives in the (possibly scaled) content group
+  const [backgroundMarkup, ...content] = body;
+  const contentTransform =
+    layout.contentScale !== 1 || layout.offsetX || layout.offsetY
+      ? ` transform="translate(${round(layout.offsetX)} ${round(layout.offsetY)})${
+          layout.contentScale !== 1 ? ` scale(${round(layout.contentScale * 1000) / 1000})` : ''
+        }"`
+      : '';
+
+  // Ligatures are on by default in the bundled fonts; disable both standard and contextual
+  const ligatureStyle = fontLigatures
+    ? ''
+    : ' style="font-variant-ligatures: none; font-feature-settings: &quot;liga&quot; 0, &quot;calt&quot; 0"';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${Number(width)}" height="${Number(height)}" viewBox="0 0 ${Number(width)} ${Number(height)}" font-family="${escapeXml(getFontStack(fontFamily))}" font-size="${Number(fontSize)}"${ligatureStyle}>
+  <defs>
+    ${defs.join('\n    ')}
+  </defs>
+  ${backgroundMarkup}
+  <g${contentTransform}>
+  ${content.join('\n  ')}
+  </g>
 </svg>`;
+}
+
+/**
+ * Generate one SVG per page of a paginated snippet
+ * Every page shares the dimensions of the largest one, like the paged raster output
+ * @param {Object} tokenResult - Result of Shiki's codeToTokens for the whole snippet
+ * @param {Array<Object>} pages - Page ranges from pagination.js splitPages
+ * @param {Object} options - Same as generateSVG
+ * @returns {string[]} SVG documents, one per page
+ */
+function generateSVGPages(tokenResult, pages, options = {}) {
+  const { tabSize = DEFAULT_TYPOGRAPHY.tabSize, frame = {} } = options;
+
+  // Size the line-number gutter for the whole snippet so every page matches
+  const lineNumberGutter =
+    options.lineNumberGutter ||
+    getLineNumberGutter(
+      { fg: tokenResult.fg },
+      { startLine: pages[0].startLine, lineCount: (tokenResult.tokens || []).length }
+    );
+
+  // Pin every card to the widest page, then fit the tallest page into the frame
+  const minColumns = expandTabs(tokenResult.tokens || [], tabSize).reduce(
+    (max, lineTokens) => Math.max(max, measureColumns(lineTokens)),
+    0
+  );
+  const pageTokens = pages.map((page) => ({
+    ...tokenResult,
+    tokens: (tokenResult.tokens || []).slice(page.startIndex, page.endIndex),
+  }));
+  const pageOptions = pages.map((page) => ({
+    ...options,
+    startLine: page.startLine,
+    pageNumber: page.pageNumber,
+    pageCount: page.pageCount,
+    lineNumberGutter,
+    minColumns,
+  }));
+
+  const naturalSizes = pageTokens.map(
+    (tokens, index) => prepareLayout(tokens, pageOptions[index]).layout
+  );
+  const { width, height } = computeFrame(
+    Math.max(...naturalSizes.map((size) => size.width)),
+    Math.max(...naturalSizes.map((size) => size.height)),
+    frame
+  );
+
+  return pageTokens.map((tokens, index) =>
+    generateSVG(tokens, { ...pageOptions[index], frame: { ...frame, width, height } })
+  );
+}
+
+/**
+ * Resolve metrics, tab-expanded lines and natural dimensions for a render
+ * @param {Object} tokenResult - Result of Shiki's codeToTokens
+ * @param {Object} options - generateSVG options
+ * @returns {Object} { metrics, lines, gutter, titleBar, showDiffGutter, continuedFrom, continuedOn, layout }
+ */
+function prepareLayout(tokenResult, options) {
+  const {
+    padding = 64,
+    showLineNumbers = true,
+    showWindowControls = true,
+    windowChrome = { style: showWindowControls ? 'mac' : 'none' },
+    language,
+    lineAnnotations = null,
+    fontSize = DEFAULT_TYPOGRAPHY.fontSize,
+    lineHeight = DEFAULT_TYPOGRAPHY.lineHeight,
+    tabSize = DEFAULT_TYPOGRAPHY.tabSize,
+    startLine = DEFAULT_START_LINE,
+    pageNumber = 1,
+    pageCount = 1,
+    minColumns = 0,
+  } = options;
+
+  const gutter =
+    options.lineNumberGutter ||
+    getLineNumberGutter(
+      { fg: tokenResult.fg },
+      { startLine, lineCount: (tokenResult.tokens || []).length }
+    );
+  const metrics = getTextMetrics(fontSize, lineHeight, gutter.columns);
+  const showDiffGutter =
+    hasLineAnnotations(lineAnnotations) &&
+    (lineAnnotations.added.size > 0 || lineAnnotations.removed.size > 0);
+  const lines = expandTabs(tokenResult.tokens || [], tabSize);
+  const continuedFrom = pageNumber > 1;
+  const continuedOn = pageNumber < pageCount;
+  const titleBar = getTitleBar(windowChrome, language);
+
+  const layout = measureLayout(lines, metrics, {
+    padding,
+    showLineNumbers,
+    titleBarHeight: titleBar.height,
+    showDiffGutter,
+    continuedMarkers: Number(continuedFrom) + Number(continuedOn),
+    minColumns,
+  });
+
+  return { metrics, lines, gutter, titleBar, showDiffGutter, continuedFrom, continuedOn, layout };
+}
+
+/**
+ * Compute canvas and card dimensions from the code content
+ * Mirrors the box model of .code-window / .code-card so the viewBox hugs the card
+ * the same way the PNG screenshot does
+ * @param {Array<Array<Object>>} lines - Tokenized lines (tabs already expanded)
+ * @param {Object} metrics - Text metrics from getTextMetrics
+ * @param {Object} options - { padding, showLineNumbers, titleBarHeight, showDiffGutter, continuedMarkers, minColumns }
+ * @returns {Object} { width, height, cardWidth, cardHeight }
+ */
+function measureLayout(lines, metrics, options) {
+  const padding = Number(options.padding);
+  const {
+    showLineNumbers,
+    titleBarHeight,
+    showDiffGutter,
+    continuedMarkers = 0,
+    minColumns = 0,
+  } = options;
+
+  const longestLine = lines.reduce(
+    (max, lineTokens) => Math.max(max, measureColumns(lineTokens)),
+    minColumns
+  );
+  const gutterWidth =
+    (showLineNumbers ? metrics.gutterWidth + metrics.gutterMargin : 0) +
+    (showDiffGutter ? metrics.diffGutterWidth : 0);
+
+  const contentWidth =
+    CODE_PADDING * 2 + gutterWidth + longestLine * metrics.charWidth;
+  const contentHeight = Math.max(
+    CODE_PADDING * 2 +
+      lines.length * metrics.lineHeight +
+      continuedMarkers * (CONTINUED_HEIGHT - CODE_PADDING),
+    MIN_CONTENT_HEIGHT
+  );
+
+  const width = Math.ceil(
+    Math.max(contentWidth + padding * 2, MIN_WINDOW_WIDTH)
+  );
+  const cardHeight = contentHeight + titleBarHeight;
+  const height = Math.ceil(cardHeight + padding * 2);
+
+  return {
+    width,
+    height,
+    cardWidth: width - padding * 2,
+    cardHeight,
+  };
+}
+
+/**
+ * Derive pixel text metrics from the typography options
+ * @param {number} fontSize - Font size in pixels
+ * @param {number} lineHeight - Line height as a multiple of the font size
+ * @param {number} gutterColumns - Digits reserved for line numbers
+ * @returns {Object} { fontSize, lineHeight, charWidth, gutterWidth, gutterMargin, diffGutterWidth }
+ */
+function getTextMetrics(fontSize, lineHeight, gutterColumns) {
+  const charWidth = fontSize * CHAR_WIDTH_EM;
+  return {
+    fontSize: Number(fontSize),
+    lineHeight: fontSize * lineHeight,
+    charWidth,
+    gutterWidth: gutterColumns * charWidth, // line number width: <columns>ch
+    gutterMargin: fontSize, // margin-right: 1em
+    diffGutterWidth: 2 * charWidth, // .has-diff .line extra padding: 2ch
+  };
+}
+
+/**
+ * Count the monospace columns occupied by a tokenized line
+ * Wide (CJK / fullwidth / emoji) characters occupy two columns
+ * @param {Array<Object>} lineTokens - Tokens of a single line
+ * @returns {number} Column count
+ */
+function measureColumns(lineTokens) {
+  let columns = 0;
+  for (const token of lineTokens) {
+    for (const char of token.content) {
+      columns += isWideCharacter(char.codePointAt(0)) ? 2 : 1;
+    }
+  }
+  return columns;
+}
+
+function isWideCharacter(codePoint) {
+  return (
+    (codePoint >= 0x1100 && codePoint <= 0x115f) || // Hangul Jamo
+    (codePoint >= 0x2e80 && codePoint <= 0xa4cf) || // CJK radicals .. Yi
+    (codePoint >= 0xac00 && codePoint <= 0xd7a3) || // Hangul syllables
+    (codePoint >= 0xf900 && codePoint <= 0xfaff) || // CJK compatibility ideographs
+    (codePoint >= 0xfe30 && codePoint <= 0xfe4f) || // CJK compatibility forms
+    (codePoint >= 0xff00 && codePoint <= 0xff60) || // Fullwidth forms
+    (codePoint >= 0xffe0 && codePoint <= 0xffe6) ||
+    (codePoint >= 0x1f300 && codePoint <= 0x1faff) || // Emoji & pictographs
+    (codePoint >= 0x20000 && codePoint <= 0x3fffd) // CJK extensions
+  );
+}
+
+/**
+ * Replace tab characters with spaces up to the next tab stop
+ * SVG text has no tab-size, so tabs are expanded before measuring and drawing
+ * @param {Array<Array<Object>>} lines - Tokenized lines
+ * @param {number} tabSize - Columns per tab stop
+ * @returns {Array<Array<Object>>} Tokenized lines without tabs
+ */
+function expandTabs(lines, tabSize) {
+  return lines.map((lineTokens) => {
+    let column = 0;
+    return lineTokens.map((token) => {
+      let content = '';
+      for (const char of token.content) {
+        if (char === '\t') {
+          const spaces = tabSize - (column % tabSize);
+          content += ' '.repeat(spaces);
+          column += spaces;
+        } else {
+          content += char;
+          column += isWideCharacter(char.codePointAt(0)) ? 2 : 1;
+        }
+      }
+      return content === token.content ? token : { ...token, content };
+    });
+  });
+}
+
+/**
+ * Render the title bar: window controls, language badge and title
+ * Mirrors the .title-bar markup of htmlTemplate.js
+ * @param {Object} titleBar - Result of windowChrome.js getTitleBar
+ * @param {Object} box - { x, y, width, foreground } of the card
+ * @returns {string[]} Markup elements
+ */
+function renderTitleBar(titleBar, { x, y, width, foreground }) {
+  const { height } = titleBar;
+  const centerY = y + height / 2;
+  const elements = [
+    `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#000" fill-opacity="0.2"/>`,
+  ];
+  const fg = escapeXml(foreground);
+
+  if (titleBar.style === 'terminal') {
+    elements.push(
+      `<rect x="${x}" y="${y + height - 1}" width="${width}" height="1" fill="${fg}" fill-opacity="0.1"/>`
+    );
+  }
+
+  if (titleBar.controls === 'dots') {
+    DOT_COLORS.forEach((color, index) => {
+      const cx = x + DOT_INSET + DOT_RADIUS + index * (DOT_RADIUS * 2 + DOT_GAP);
+      // Terminal windows use monochrome dots
+      const fill =
+        titleBar.style === 'terminal' ? `fill="${fg}" fill-opacity="0.25"` : `fill="${color}"`;
+      elements.push(`<circle cx="${cx}" cy="${centerY}" r="${DOT_RADIUS}" ${fill}/>`);
+    });
+  } else if (titleBar.controls === 'buttons') {
+    WINDOW_BUTTONS.forEach((name, index) => {
+      const left = x + width - CAPTION_BUTTON_WIDTH * (WINDOW_BUTTONS.length - index);
+      elements.push(
+        `<path transform="translate(${round(left + (CAPTION_BUTTON_WIDTH - 10) / 2)} ${round(centerY - 5)})" d="${WINDOW_BUTTON_ICONS[name]}" fill="none" stroke="${fg}" stroke-opacity="0.8"/>`
+      );
+    });
+  } else if (titleBar.controls === 'round-buttons') {
+    WINDOW_BUTTONS.forEach((name, index) => {
+      const cx =
+        x + width - 12 - ROUND_BUTTON_RADIUS -
+        (WINDOW_BUTTONS.length - 1 - index) * (ROUND_BUTTON_RADIUS * 2 + ROUND_BUTTON_GAP);
+      elements.push(
+        `<circle cx="${cx}" cy="${centerY}" r="${ROUND_BUTTON_RADIUS}" fill="${fg}" fill-opacity="0.1"/>`,
+        `<path transform="translate(${cx - 4} ${round(centerY - 4)}) scale(0.8)" d="${WINDOW_BUTTON_ICONS[name]}" fill="none" stroke="${fg}" stroke-opacity="0.8"/>`
+      );
+    });
+  }
+
+  const { badge } = titleBar;
+  if (!titleBar.title && !badge) {
+    return elements;
+  }
+
+  // Truncate the title to the space between the controls (monospace: 0.6em per char)
+  const titleCharWidth = TITLE_FONT_SIZE * CHAR_WIDTH_EM;
+  const available =
+    width - titleBar.titleInset.left - titleBar.titleInset.right -
+    (badge ? badge.width + (titleBar.title ? BADGE_GAP : 0) : 0);
+  let title = titleBar.title || '';
+  const maxChars = Math.max(Math.floor(available / titleCharWidth), 1);
+  if (title.length > maxChars) {
+    title = `${title.slice(0, maxChars - 1)}…`;
+  }
+
+  const groupWidth =
+    (badge ? badge.width + (title ? BADGE_GAP : 0) : 0) + title.length * titleCharWidth;
+  let groupX = x + titleBar.titleInset.left;
+  if (titleBar.titleAlign === 'center') {
+    groupX += (width - titleBar.titleInset.left - titleBar.titleInset.right - groupWidth) / 2;
+  }
+
+  if (badge) {
+    elements.push(
+      `<rect x="${round(groupX)}" y="${round(centerY - BADGE_HEIGHT / 2)}" width="${badge.width}" height="${BADGE_HEIGHT}" rx="3" fill="${escapeXml(badge.color)}"/>`,
+      `<text x="${round(groupX + badge.width / 2)}" y="${round(centerY + BADGE_FONT_SIZE * 0.3)}" text-anchor="middle" font-size="${BADGE_FONT_SIZE}" font-weight="bold" fill="${escapeXml(badge.text)}">${escapeXml(badge.label)}</text>`
+    );
+    groupX += badge.width + BADGE_GAP;
+  }
+  if (title) {
+    elements.push(
+      `<text x="${round(groupX)}" y="${round(centerY + TITLE_FONT_SIZE * 0.3)}" font-size="${TITLE_FONT_SIZE}" fill="${fg}" fill-opacity="0.7" xml:space="preserve">${escapeXml(title)}</text>`
+    );
+  }
+
+  return elements;
+}
+
+/**
+ * Render a "continued from/on page N" marker row
+ * @param {string} label - Marker text
+ * @param {number} x - Left edge of the card
+ * @param {number} y - Text baseline
+ * @returns {string} text markup
+ */
+function renderContinuedMarker(label, x, y) {
+  return `<text x="${round(x + CODE_PADDING)}" y="${round(y)}" font-size="${CONTINUED_FONT_SIZE}" font-style="italic" fill="${CONTINUED_COLOR}">${escapeXml(label)}</text>`;
+}
+
+/**
+ * Render a single Shiki token as a <tspan>
+ * @param {Object} token - Shiki themed token: { content, color, fontStyle }
+ * @param {string} foreground - Theme foreground color used when the token has none
+ * @returns {string} tspan markup
+ */
+function renderToken(token, foreground) {
+  const attributes = [`fill="${escapeXml(token.color || foreground)}"`];
+  const fontStyle = token.fontStyle || 0;
+
+  if (fontStyle & FONT_STYLE_ITALIC) {
+    attributes.push('font-style="italic"');
+  }
+  if (fontStyle & FONT_STYLE_BOLD) {
+    attributes.push('font-weight="bold"');
+  }
+
+  const decorations = [];
+  if (fontStyle & FONT_STYLE_UNDERLINE) {
+    decorations.push('underline');
+  }
+  if (fontStyle & FONT_STYLE_STRIKETHROUGH) {
+    decorations.push('line-through');
+  }
+  if (decorations.length > 0) {
+    attributes.push(`text-decoration="${decorations.join(' ')}"`);
+  }
+
+  return `<tspan ${attributes.join(' ')}>${escapeXml(token.content)}</tspan>`;
+}
+
+/**
+ * Draw the frame background, registering any gradient or clip path in defs
+ * @param {Object} background - Background descriptor from backgrounds.js
+ * @param {Object} size - { width, height } of the frame
+ * @param {string[]} defs - Collected <defs> children (mutated)
+ * @returns {string} Background markup (empty for transparent backgrounds)
+ */
+function buildBackground(background, { width, height }, defs) {
+  if (background.type === 'transparent') {
+    return '';
+  }
+
+  if (background.type === 'image') {
+    // Cover the frame like CSS background-size: cover, clipped to the rounded corners
+    defs.push(
+      `<clipPath id="background-clip"><rect width="${width}" height="${height}" rx="${OUTER_RADIUS}"/></clipPath>`
+    );
+    return `<image href="${escapeXml(background.dataUrl)}" width="${width}" height="${height}" preserveAspectRatio="xMidYMid slice" clip-path="url(#background-clip)"/>`;
+  }
+
+  return `<rect width="${width}" height="${height}" rx="${OUTER_RADIUS}" fill="${buildGradientFill(background, defs)}"/>`;
+}
+
+/**
+ * Convert a solid or linear-gradient background into an SVG fill, registering the gradient in defs
+ * @param {Object} background - { type: 'solid', color } or { type: 'linear', angle, stops }
+ * @param {string[]} defs - Collected <defs> children (mutated)
+ * @returns {string} Value for the fill attribute
+ */
+function buildGradientFill(background, defs) {
+  if (background.type === 'solid') {
+    return escapeXml(background.color);
+  }
+
+  // CSS angles point "towards" a direction with 0deg = to top, clockwise
+  const radians = (background.angle * Math.PI) / 180;
+  const dx = Math.sin(radians) / 2;
+  const dy = -Math.cos(radians) / 2;
+  const stops = background.stops
+    .map(
+      (stop) =>
+        `<stop offset="${round(stop.offset * 100)}%" stop-color="${escapeXml(stop.color)}"/>`
+    )
+    .join('');
+
+  defs.push(
+    `<linearGradient id="background-gradient" x1="${round(0.5 - dx)}" y1="${round(0.5 - dy)}" x2="${round(0.5 + dx)}" y2="${round(0.5 + dy)}">${stops}</linearGradient>`
+  );
+  return 'url(#background-gradient)';
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
 
-  return svg;
+function round(value) {
+  return Math.round(value * 100) / 100;
 }
 
-module.exports = { generateSVG };
+module.exports = { generateSVG, generateSVGPages };
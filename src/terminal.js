@@ -0,0 +1,130 @@
+/**
+ * Terminal Sessions
+ * Renders shell sessions: prompt lines ("$ npm test") are highlighted as shell
+ * commands behind a styled prompt, every other line is program output that may
+ * contain ANSI color escape sequences (Shiki's `ansi` language)
+ */
+
+const RENDER_MODES = ['code', 'terminal'];
+
+// Language used for commands (and the title bar badge) in terminal mode
+const TERMINAL_LANGUAGE = 'shellscript';
+
+// "$ cmd", "% cmd" (zsh), "> cmd" (continuation / PowerShell), "❯ cmd" (starship and friends)
+const PROMPT_PATTERN = /^([$%>❯])(?: |$)/;
+
+// Prompt color when the theme has no terminal.ansiGreen
+const FALLBACK_PROMPT_COLOR = '#3fb950';
+
+// Shiki FontStyle.Bold
+const FONT_STYLE_BOLD = 2;
+
+/**
+ * Validate the render mode from the request body
+ * @param {string} mode - "code" (default) or "terminal"
+ * @returns {Object} { mode } on success or { error } on invalid input
+ */
+function validateRenderMode(mode) {
+  if (mode === undefined || mode === null) {
+    return { mode: 'code' };
+  }
+  if (!RENDER_MODES.includes(mode)) {
+    return { error: `Invalid mode. Must be one of: ${RENDER_MODES.join(', ')}` };
+  }
+  return { mode };
+}
+
+/**
+ * Split a session into input and output lines
+ * @param {string} code - Session transcript
+ * @returns {Array<Object>} [{ type: 'input', prompt, command } | { type: 'output', text }]
+ */
+function parseTerminalSession(code) {
+  return code.split(/\r?\n/).map((line) => {
+    const match = line.match(PROMPT_PATTERN);
+    if (!match) {
+      return { type: 'output', text: line };
+    }
+    return { type: 'input', prompt: match[0], command: line.slice(match[0].length) };
+  });
+}
+
+/**
+ * Tokenize a terminal session with Shiki
+ * Commands use the shell grammar, consecutive output lines are tokenized together
+ * as ANSI so color state carries across lines
+ * @param {Object} highlighter - Shiki highlighter with the shell grammar and theme loaded
+ * @param {string} code - Session transcript
+ * @param {string} themeName - Loaded theme name
+ * @returns {Object} { tokens, fg, bg, lines } - codeToTokens-compatible result plus the parsed lines
+ */
+function tokenizeTerminalSession(highlighter, code, themeName) {
+  const theme = highlighter.getTheme(themeName);
+  const promptColor = (theme.colors && theme.colors['terminal.ansiGreen']) || FALLBACK_PROMPT_COLOR;
+  const lines = parseTerminalSession(code);
+  const tokens = [];
+
+  let index = 0;
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (line.type === 'input') {
+      const commandTokens = line.command
+        ? highlighter.codeToTokens(line.command, { lang: TERMINAL_LANGUAGE, theme: themeName }).tokens[0]
+        : [];
+      tokens.push([
+        { content: line.prompt, offset: 0, color: promptColor, fontStyle: FONT_STYLE_BOLD },
+        ...commandTokens,
+      ]);
+      index++;
+      continue;
+    }
+
+    let end = index;
+    while (end < lines.length && lines[end].type === 'output') {
+      end++;
+    }
+    const output = lines.slice(index, end).map((outputLine) => outputLine.text).join('\n');
+    tokens.push(...highlighter.codeToTokens(output, { lang: 'ansi', theme: themeName }).tokens);
+    index = end;
+  }
+
+  return { tokens, fg: theme.fg, bg: theme.bg, lines };
+}
+
+/**
+ * Create a Shiki transformer that renders a tokenized session as HTML
+ * Replaces the tokens of the (plain text) highlight and marks input/output lines
+ * and prompts with classes
+ * @param {Object} session - Result of tokenizeTerminalSession
+ * @returns {Object} Shiki transformer
+ */
+function createTerminalTransformer(session) {
+  return {
+    name: 'code-to-image:terminal',
+    tokens() {
+      return session.tokens;
+    },
+    pre(node) {
+      this.addClassToHast(node, 'terminal-session');
+    },
+    line(node, line) {
+      const parsed = session.lines[line - 1];
+      this.addClassToHast(node, parsed && parsed.type === 'input' ? 'terminal-input' : 'terminal-output');
+    },
+    span(node, line, col) {
+      const parsed = session.lines[line - 1];
+      if (parsed && parsed.type === 'input' && col === 0) {
+        this.addClassToHast(node, 'terminal-prompt');
+      }
+    },
+  };
+}
+
+module.exports = {
+  TERMINAL_LANGUAGE,
+  validateRenderMode,
+  parseTerminalSession,
+  tokenizeTerminalSession,
+  createTerminalTransformer,
+};
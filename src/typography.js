@@ -0,0 +1,64 @@
+/**
+ * Typography Options
+ * Validates the font size / line height / tab width / ligature request options
+ * shared by the HTML template and the SVG renderer
+ */
+
+const DEFAULT_TYPOGRAPHY = {
+  fontSize: 14,
+  lineHeight: 1.5,
+  tabSize: 4,
+  fontLigatures: true,
+};
+
+const LIMITS = {
+  fontSize: { min: 8, max: 72 },
+  lineHeight: { min: 1, max: 3 },
+  tabSize: { min: 1, max: 16 },
+};
+
+/**
+ * Validate typography options from the request body, applying defaults
+ * @param {Object} fields - { fontSize, lineHeight, tabSize, fontLigatures }
+ * @returns {Object} { typography } on success or { error } on invalid input
+ *   typography: { fontSize: number, lineHeight: number, tabSize: number, fontLigatures: boolean }
+ */
+function validateTypography({ fontSize, lineHeight, tabSize, fontLigatures } = {}) {
+  const typography = { ...DEFAULT_TYPOGRAPHY };
+
+  for (const [name, value] of Object.entries({ fontSize, lineHeight, tabSize })) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    const { min, max } = LIMITS[name];
+    const mustBeInteger = name === 'tabSize';
+    if (
+      typeof value !== 'number' ||
+      !Number.isFinite(value) ||
+      (mustBeInteger && !Number.isInteger(value)) ||
+      value < min ||
+      value > max
+    ) {
+      return {
+        error: `Invalid ${name}. Must be ${mustBeInteger ? 'an integer' : 'a number'} between ${min} and ${max}`,
+      };
+    }
+
+    typography[name] = value;
+  }
+
+  if (fontLigatures !== undefined && fontLigatures !== null) {
+    if (typeof fontLigatures !== 'boolean') {
+      return { error: 'Invalid fontLigatures. Must be true or false' };
+    }
+    typography.fontLigatures = fontLigatures;
+  }
+
+  return { typography };
+}
+
+module.exports = {
+  DEFAULT_TYPOGRAPHY,
+  validateTypography,
+};
@@ -0,0 +1,266 @@
+/**
+ * Usage Metering
+ * Records a usage event for every request (who rendered what, how big, how long,
+ * cache hit, status), rejected ones included, in a pluggable sink, and aggregates a
+ * principal's events by day and format for GET /usage.
+ * Sinks: PostgreSQL (usage_events table) in production, a JSON-lines file locally
+ */
+
+const os = require('os');
+const path = require('path');
+const { validateOutputFormat } = require('../formats');
+
+const USAGE_SINK = (process.env.USAGE_SINK || 'none').toLowerCase();
+const USAGE_FILE = process.env.USAGE_FILE || path.join(os.tmpdir(), 'code-to-image-usage.jsonl');
+
+const USAGE_PATH = '/usage';
+
+// Default and longest GET /usage ranges, in days
+const DEFAULT_USAGE_DAYS = 30;
+const MAX_USAGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Format buckets of requests with an unsupported format and of requests that don't render
+const INVALID_FORMAT = 'invalid';
+const NO_FORMAT = 'none';
+
+// Client-supplied labels (language, theme) are cut to this length before they are stored
+const MAX_LABEL_LENGTH = 64;
+
+// Module-level sink (persists across warm Lambda invocations); null when disabled
+let sink;
+
+/**
+ * Get the configured usage sink
+ * @returns {Object|null} Usage sink ({ name, record, summarize }) or null if USAGE_SINK is "none"
+ */
+function getUsageSink() {
+  if (sink === undefined) {
+    sink = createUsageSink(USAGE_SINK);
+    if (sink) {
+      console.log(`Using ${sink.name} usage sink`);
+    }
+  }
+  return sink;
+}
+
+/**
+ * Create a usage sink by name
+ * Sinks are required lazily so pg is only loaded when PostgreSQL is used
+ * @param {string} name - "postgres", "jsonl" or "none"
+ * @returns {Object|null} Usage sink or null
+ */
+function createUsageSink(name) {
+  switch (name) {
+    case 'postgres': {
+      const { createPostgresSink } = require('./postgresSink');
+      return createPostgresSink();
+    }
+    case 'jsonl': {
+      const { createJsonlSink } = require('./jsonlSink');
+      return createJsonlSink({ file: USAGE_FILE });
+    }
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Invalid USAGE_SINK "${name}". Must be one of: postgres, jsonl, none`);
+  }
+}
+
+/**
+ * Render a request and record its usage event
+ * Recording errors are logged and never fail the render; a render that throws is
+ * recorded with status 500 and rethrown
+ * @param {Object} body - Parsed request body
+ * @param {Function} render - async (body) => API Gateway response
+ * @param {Object} context - { principalId, provider, route: "generate" or "batch" }
+ * @returns {Promise<Object>} API Gateway response
+ */
+async function withUsageMetering(body, render, context) {
+  const startTime = Date.now();
+  let response = null;
+  try {
+    response = await render(body);
+    return response;
+  } finally {
+    await recordUsageEvent(createUsageEvent(body, response, Date.now() - startTime, context));
+  }
+}
+
+/**
+ * Record the usage event of a request that wasn't rendered: rejected before rendering
+ * (400, 401, 429, 503) or a route that doesn't render (GET /usage, signing).
+ * Recording errors are logged
+ * @param {Object|null|undefined} body - Parsed request body; null for routes that don't
+ *   render, undefined when the body couldn't be parsed
+ * @param {Object} response - API Gateway response
+ * @param {number} durationMs - Handling time in milliseconds
+ * @param {Object} context - { principalId (null before authentication), provider, route }
+ * @returns {Promise<void>}
+ */
+async function recordRequestEvent(body, response, durationMs, context) {
+  await recordUsageEvent(createUsageEvent(body, response, durationMs, context));
+}
+
+/**
+ * Build a usage event
+ * @param {Object|null|undefined} body - Parsed request body (see recordRequestEvent)
+ * @param {Object|null} response - API Gateway response (null when the render threw)
+ * @param {number} durationMs - Render time in milliseconds
+ * @param {Object} context - { principalId, provider, route }
+ * @returns {Object} Usage event
+ */
+function createUsageEvent(body, response, durationMs, { principalId, provider, route }) {
+  const request = body || {};
+  const headers = (response && response.headers) || {};
+
+  let outputBytes = 0;
+  if (response && response.body) {
+    outputBytes = response.isBase64Encoded
+      ? Buffer.from(response.body, 'base64').length
+      : Buffer.byteLength(response.body);
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    principalId: principalId === undefined || principalId === null ? null : String(principalId),
+    provider: provider || null,
+    route,
+    format: getFormatBucket(body),
+    language: headers['X-Detected-Language'] || toLabel(request.language) || 'auto',
+    theme: isPlainObject(request.theme) ? 'custom' : toLabel(request.theme),
+    inputBytes: typeof request.code === 'string' ? Buffer.byteLength(request.code) : 0,
+    outputBytes,
+    durationMs,
+    cacheHit: headers['X-Cache'] === 'HIT' || (response && response.statusCode === 304) || false,
+    statusCode: response ? response.statusCode : 500,
+  };
+}
+
+// Validated output format of a request, so client-supplied values never reach the report
+function getFormatBucket(body) {
+  if (body === null) {
+    return NO_FORMAT;
+  }
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    return INVALID_FORMAT;
+  }
+  const { output, error } = validateOutputFormat(body);
+  return error ? INVALID_FORMAT : output.format;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Bounded string label of a client value, or null
+function toLabel(value) {
+  return typeof value === 'string' && value !== '' ? value.slice(0, MAX_LABEL_LENGTH) : null;
+}
+
+async function recordUsageEvent(event) {
+  try {
+    const usageSink = getUsageSink();
+    if (usageSink) {
+      await usageSink.record(event);
+    }
+  } catch (error) {
+    console.error('Failed to record usage event:', error);
+  }
+}
+
+/**
+ * Check whether an API Gateway event is a usage request
+ * @param {Object} event - API Gateway proxy event
+ * @returns {boolean}
+ */
+function isUsageRoute(event) {
+  const path = (event.resource || event.path || '').replace(/\/+$/, '');
+  return event.httpMethod === 'GET' && path.endsWith(USAGE_PATH);
+}
+
+/**
+ * Validate the GET /usage date range
+ * @param {Object} query - event.queryStringParameters: { from?, to? } as YYYY-MM-DD (UTC, inclusive)
+ * @returns {Object} { from, to } as Dates (to exclusive) on success or { error } on invalid input
+ */
+function validateUsageRange(query) {
+  const params = query || {};
+  const now = new Date();
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+  const to = params.to ? parseDate(params.to) : today;
+  const from = params.from ? parseDate(params.from) : to - (DEFAULT_USAGE_DAYS - 1) * DAY_MS;
+  if (from === null || to === null) {
+    return { error: 'Invalid date. Use from and to as YYYY-MM-DD' };
+  }
+  if (from > to) {
+    return { error: 'Invalid date range. from must not be after to' };
+  }
+  if ((to - from) / DAY_MS + 1 > MAX_USAGE_DAYS) {
+    return { error: `Invalid date range. At most ${MAX_USAGE_DAYS} days are allowed` };
+  }
+
+  return { from: new Date(from), to: new Date(to + DAY_MS) };
+}
+
+/**
+ * Aggregate a principal's usage by day and format
+ * @param {string} principalId - Auth principal id (the caller's own key)
+ * @param {Object} range - { from, to } from validateUsageRange
+ * @returns {Promise<Object>} API Gateway response:
+ *   { principalId, from, to, totals, days: [{ date, format, requests, succeeded, cacheHits, inputBytes, outputBytes, durationMs }] }
+ */
+async function getUsageReport(principalId, { from, to }) {
+  const usageSink = getUsageSink();
+  if (!usageSink) {
+    return jsonResponse(501, { error: 'Usage metering is not configured (USAGE_SINK is not set)' });
+  }
+  if (principalId === undefined || principalId === null) {
+    return jsonResponse(403, { error: 'Usage is not available for this API key' });
+  }
+
+  const days = await usageSink.summarize(String(principalId), { from, to });
+  const totals = { requests: 0, succeeded: 0, cacheHits: 0, inputBytes: 0, outputBytes: 0, durationMs: 0 };
+  for (const day of days) {
+    for (const field of Object.keys(totals)) {
+      totals[field] += day[field];
+    }
+  }
+
+  return jsonResponse(200, {
+    principalId: String(principalId),
+    from: from.toISOString().slice(0, 10),
+    to: new Date(to.getTime() - DAY_MS).toISOString().slice(0, 10),
+    totals,
+    days,
+  });
+}
+
+// YYYY-MM-DD (UTC) to epoch milliseconds, or null
+function parseDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return Number.isNaN(time) ? null : time;
+}
+
+function jsonResponse(statusCode, payload) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    },
+    body: JSON.stringify(payload),
+  };
+}
+
+module.exports = {
+  withUsageMetering,
+  recordRequestEvent,
+  isUsageRoute,
+  validateUsageRange,
+  getUsageReport,
+};
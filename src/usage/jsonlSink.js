@@ -0,0 +1,94 @@
+/**
+ * JSON-lines Usage Sink
+ * Appends usage events to a local file, one JSON object per line (offline
+ * development, self-hosting); summaries scan the whole file
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * Create a JSON-lines usage sink
+ * @param {Object} options - { file }
+ * @returns {Object} Usage sink: { name, record, summarize }
+ */
+function createJsonlSink({ file } = {}) {
+  if (!file) {
+    throw new Error('USAGE_FILE environment variable is not set');
+  }
+
+  return {
+    name: 'jsonl',
+
+    /**
+     * Append a usage event
+     * @param {Object} event - Usage event
+     * @returns {Promise<void>}
+     */
+    async record(event) {
+      await fs.promises.appendFile(file, `${JSON.stringify(event)}\n`);
+    },
+
+    /**
+     * Aggregate a principal's events by UTC day and format
+     * @param {string} principalId - Auth principal id
+     * @param {Object} range - { from, to } (to exclusive)
+     * @returns {Promise<Array<Object>>} Rows sorted by date and format
+     */
+    async summarize(principalId, { from, to }) {
+      const rows = new Map();
+
+      let lines;
+      try {
+        await fs.promises.access(file);
+        lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+
+      for await (const line of lines) {
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (error) {
+          continue; // Partially written line
+        }
+
+        const time = new Date(event.timestamp);
+        if (event.principalId !== principalId || !(time >= from && time < to)) continue;
+
+        const date = event.timestamp.slice(0, 10);
+        const key = `${date} ${event.format}`;
+        if (!rows.has(key)) {
+          rows.set(key, {
+            date,
+            format: event.format,
+            requests: 0,
+            succeeded: 0,
+            cacheHits: 0,
+            inputBytes: 0,
+            outputBytes: 0,
+            durationMs: 0,
+          });
+        }
+
+        const row = rows.get(key);
+        row.requests += 1;
+        row.succeeded += event.statusCode < 400 ? 1 : 0;
+        row.cacheHits += event.cacheHit ? 1 : 0;
+        row.inputBytes += event.inputBytes;
+        row.outputBytes += event.outputBytes;
+        row.durationMs += event.durationMs;
+      }
+
+      return [...rows.values()].sort(
+        (a, b) => a.date.localeCompare(b.date) || a.format.localeCompare(b.format)
+      );
+    },
+  };
+}
+
+module.exports = { createJsonlSink };
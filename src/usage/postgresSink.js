@@ -0,0 +1,84 @@
+/**
+ * PostgreSQL Usage Sink
+ * Stores usage events in the usage_events table (migrations/003_usage_events.sql)
+ * through the shared connection pool
+ */
+
+const { query } = require('../db/connectionPool');
+
+/**
+ * Create a PostgreSQL usage sink
+ * @returns {Object} Usage sink: { name, record, summarize }
+ */
+function createPostgresSink() {
+  return {
+    name: 'postgres',
+
+    /**
+     * Insert a usage event
+     * @param {Object} event - Usage event
+     * @returns {Promise<void>}
+     */
+    async record(event) {
+      await query(
+        `INSERT INTO usage_events (
+          created_at, principal_id, provider, route, format, language, theme,
+          input_bytes, output_bytes, duration_ms, cache_hit, status_code
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [
+          event.timestamp,
+          event.principalId,
+          event.provider,
+          event.route,
+          event.format,
+          event.language,
+          event.theme,
+          event.inputBytes,
+          event.outputBytes,
+          event.durationMs,
+          event.cacheHit,
+          event.statusCode,
+        ]
+      );
+    },
+
+    /**
+     * Aggregate a principal's events by UTC day and format
+     * @param {string} principalId - Auth principal id
+     * @param {Object} range - { from, to } (to exclusive)
+     * @returns {Promise<Array<Object>>} Rows sorted by date and format
+     */
+    async summarize(principalId, { from, to }) {
+      const result = await query(
+        `SELECT
+          to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS date,
+          format,
+          COUNT(*) AS requests,
+          COUNT(*) FILTER (WHERE status_code < 400) AS succeeded,
+          COUNT(*) FILTER (WHERE cache_hit) AS cache_hits,
+          COALESCE(SUM(input_bytes), 0) AS input_bytes,
+          COALESCE(SUM(output_bytes), 0) AS output_bytes,
+          COALESCE(SUM(duration_ms), 0) AS duration_ms
+        FROM usage_events
+        WHERE principal_id = $1 AND created_at >= $2 AND created_at < $3
+        GROUP BY 1, 2
+        ORDER BY 1, 2`,
+        [principalId, from, to]
+      );
+
+      // COUNT and SUM are bigint, which pg returns as strings
+      return result.rows.map((row) => ({
+        date: row.date,
+        format: row.format,
+        requests: Number(row.requests),
+        succeeded: Number(row.succeeded),
+        cacheHits: Number(row.cache_hits),
+        inputBytes: Number(row.input_bytes),
+        outputBytes: Number(row.output_bytes),
+        durationMs: Number(row.duration_ms),
+      }));
+    },
+  };
+}
+
+module.exports = { createPostgresSink };
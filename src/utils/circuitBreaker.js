@@ -0,0 +1,73 @@
+/**
+ * Circuit Breaker
+ * Stops calling a failing dependency: after `threshold` consecutive failures the
+ * circuit opens and calls are refused for `cooldownMs`; then one trial call is let
+ * through (half-open) and closes the circuit on success or reopens it on failure
+ */
+
+/**
+ * Create a circuit breaker
+ * @param {Object} options - { name (for logs), threshold, cooldownMs }
+ * @returns {Object} { canRequest, recordSuccess, recordFailure, getState }
+ */
+function createCircuitBreaker({ name, threshold = 5, cooldownMs = 30000 }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  const open = () => {
+    if (state !== 'open') {
+      console.warn(`${name} circuit opened after ${failures} consecutive failures`);
+    }
+    state = 'open';
+    openedAt = Date.now();
+    trialInFlight = false;
+  };
+
+  return {
+    /**
+     * Check whether a call may be made now (claims the trial call when half-open)
+     * @returns {boolean}
+     */
+    canRequest() {
+      if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+        state = 'half-open';
+      }
+      if (state === 'half-open') {
+        if (trialInFlight) {
+          return false;
+        }
+        trialInFlight = true;
+        return true;
+      }
+      return state === 'closed';
+    },
+
+    recordSuccess() {
+      if (state !== 'closed') {
+        console.log(`${name} circuit closed`);
+      }
+      state = 'closed';
+      failures = 0;
+      trialInFlight = false;
+    },
+
+    recordFailure() {
+      failures += 1;
+      if (state === 'half-open' || failures >= threshold) {
+        open();
+      }
+    },
+
+    /**
+     * Get the breaker state (useful for monitoring)
+     * @returns {Object} { state, failures, threshold, cooldownMs }
+     */
+    getState() {
+      return { state, failures, threshold, cooldownMs };
+    },
+  };
+}
+
+module.exports = { createCircuitBreaker };
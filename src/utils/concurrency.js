@@ -0,0 +1,32 @@
+/**
+ * Concurrency Helpers
+ * Runs async work over a list with a bounded number of tasks in flight
+ */
+
+/**
+ * Map items through an async function, running at most `limit` calls at a time
+ * Results keep the order of the input
+ * @param {Array} items - Input items
+ * @param {number} limit - Maximum number of concurrent calls (at least 1)
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  // Each worker picks the next unclaimed item until the list is exhausted
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.min(Math.max(1, limit), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,23 @@
+/**
+ * Retry with jittered exponential backoff ("full jitter": a random delay between 0
+ * and baseDelayMs * 2^attempt, capped at maxDelayMs), so clients that failed
+ * together don't retry together
+ */
+
+/**
+ * Call fn until it returns a result that needs no retry or retries run out
+ * @param {Function} fn - async (attempt) => result (attempt starts at 0)
+ * @param {Object} options - { retries, baseDelayMs, maxDelayMs, shouldRetry: (result) => boolean }
+ * @returns {Promise<*>} The last result
+ */
+async function retryWithBackoff(fn, { retries = 2, baseDelayMs = 100, maxDelayMs = 2000, shouldRetry }) {
+  let result = await fn(0);
+  for (let attempt = 1; attempt <= retries && shouldRetry(result); attempt++) {
+    const delay = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    result = await fn(attempt);
+  }
+  return result;
+}
+
+module.exports = { retryWithBackoff };
@@ -0,0 +1,101 @@
+/**
+ * ZIP Archive Writer
+ * Builds small in-memory ZIP archives (used to return paginated images in one response)
+ */
+
+const zlib = require('zlib');
+
+// CRC-32 lookup table (IEEE polynomial, as required by the ZIP format)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// Fixed DOS timestamp (1980-01-01 00:00) so identical input produces identical archives
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1; // Month 1, day 1 (year offset 0)
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Create a ZIP archive
+ * Entries are deflated unless that doesn't make them smaller (PNG/JPEG/WebP data is
+ * already compressed and is usually stored as-is)
+ * @param {Array<Object>} files - [{ name: string, data: Buffer|string }]
+ * @returns {Buffer} ZIP archive
+ */
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const useDeflate = deflated.length < data.length;
+    const content = useDeflate ? deflated : data;
+    const crc = crc32(data);
+
+    const localHeader = Buffer.alloc(30);
+    localHeader.writeUInt32LE(0x04034b50, 0); // Local file header signature
+    localHeader.writeUInt16LE(20, 4); // Version needed to extract (2.0)
+    localHeader.writeUInt16LE(0x0800, 6); // Flags: UTF-8 file names
+    localHeader.writeUInt16LE(useDeflate ? METHOD_DEFLATE : METHOD_STORE, 8);
+    localHeader.writeUInt16LE(DOS_TIME, 10);
+    localHeader.writeUInt16LE(DOS_DATE, 12);
+    localHeader.writeUInt32LE(crc, 14);
+    localHeader.writeUInt32LE(content.length, 18);
+    localHeader.writeUInt32LE(data.length, 22);
+    localHeader.writeUInt16LE(name.length, 26);
+    localHeader.writeUInt16LE(0, 28); // Extra field length
+
+    const centralHeader = Buffer.alloc(46);
+    centralHeader.writeUInt32LE(0x02014b50, 0); // Central directory header signature
+    centralHeader.writeUInt16LE(20, 4); // Version made by
+    centralHeader.writeUInt16LE(20, 6); // Version needed to extract
+    centralHeader.writeUInt16LE(0x0800, 8);
+    centralHeader.writeUInt16LE(useDeflate ? METHOD_DEFLATE : METHOD_STORE, 10);
+    centralHeader.writeUInt16LE(DOS_TIME, 12);
+    centralHeader.writeUInt16LE(DOS_DATE, 14);
+    centralHeader.writeUInt32LE(crc, 16);
+    centralHeader.writeUInt32LE(content.length, 20);
+    centralHeader.writeUInt32LE(data.length, 24);
+    centralHeader.writeUInt16LE(name.length, 28);
+    // Extra field, comment, disk number, attributes: all zero
+    centralHeader.writeUInt32LE(offset, 42); // Offset of the local header
+
+    localParts.push(localHeader, name, content);
+    centralParts.push(centralHeader, name);
+    offset += localHeader.length + name.length + content.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+  end.writeUInt16LE(files.length, 8); // Entries on this disk
+  end.writeUInt16LE(files.length, 10); // Total entries
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16); // Offset of the central directory
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Compute the CRC-32 checksum of a buffer
+ * @param {Buffer} data - Input data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = { createZip };
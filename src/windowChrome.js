@@ -0,0 +1,182 @@
+/**
+ * Window Chrome
+ * Validates the window style / title bar request options and describes the title bar
+ * geometry shared by the HTML template and the SVG renderer
+ */
+
+const DEFAULT_WINDOW_STYLE = 'mac';
+const MAX_TITLE_LENGTH = 120;
+
+// Title bar per style: height, the space kept free for controls on each side of the
+// title, and how the title is aligned between them
+const WINDOW_STYLES = {
+  mac: { height: 44, controls: 'dots', titleAlign: 'center', titleInset: { left: 84, right: 84 } },
+  windows: { height: 32, controls: 'buttons', titleAlign: 'left', titleInset: { left: 12, right: 150 } },
+  linux: { height: 40, controls: 'round-buttons', titleAlign: 'center', titleInset: { left: 112, right: 112 } },
+  terminal: { height: 36, controls: 'dots', titleAlign: 'center', titleInset: { left: 84, right: 84 } },
+  none: { height: 0, controls: null, titleAlign: null, titleInset: { left: 0, right: 0 } },
+};
+
+const TITLE_FONT_SIZE = 13;
+
+// macOS-style traffic lights (terminal style draws them monochrome)
+const DOT_RADIUS = 6;
+const DOT_GAP = 8;
+const DOT_INSET = 16;
+const DOT_COLORS = ['#ff5f56', '#ffbd2e', '#27c93f'];
+
+// Windows caption buttons and GNOME round buttons, right-aligned
+const CAPTION_BUTTON_WIDTH = 46;
+const ROUND_BUTTON_RADIUS = 12;
+const ROUND_BUTTON_GAP = 8;
+
+// Window button glyphs drawn as strokes in a 10x10 box (identical in HTML and SVG)
+const WINDOW_BUTTON_ICONS = {
+  minimize: 'M0 5.5h10',
+  maximize: 'M0.5 0.5h9v9h-9z',
+  close: 'M0 0l10 10M10 0l-10 10',
+};
+const WINDOW_BUTTONS = ['minimize', 'maximize', 'close'];
+
+// Language badges shown next to the title (short label + linguist-style color)
+const LANGUAGE_BADGES = {
+  javascript: { label: 'JS', color: '#f1e05a', text: '#1f2328' },
+  jsx: { label: 'JSX', color: '#61dafb', text: '#1f2328' },
+  typescript: { label: 'TS', color: '#3178c6' },
+  tsx: { label: 'TSX', color: '#3178c6' },
+  python: { label: 'PY', color: '#3572a5' },
+  java: { label: 'JAVA', color: '#b07219' },
+  go: { label: 'GO', color: '#00add8' },
+  rust: { label: 'RS', color: '#dea584', text: '#1f2328' },
+  c: { label: 'C', color: '#555555' },
+  cpp: { label: 'C++', color: '#f34b7d' },
+  csharp: { label: 'C#', color: '#178600' },
+  php: { label: 'PHP', color: '#4f5d95' },
+  ruby: { label: 'RB', color: '#701516' },
+  swift: { label: 'SWIFT', color: '#f05138' },
+  kotlin: { label: 'KT', color: '#a97bff' },
+  html: { label: 'HTML', color: '#e34c26' },
+  css: { label: 'CSS', color: '#563d7c' },
+  scss: { label: 'SCSS', color: '#c6538c' },
+  json: { label: 'JSON', color: '#292929' },
+  yaml: { label: 'YAML', color: '#cb171e' },
+  markdown: { label: 'MD', color: '#083fa1' },
+  sql: { label: 'SQL', color: '#e38c00' },
+  bash: { label: 'SH', color: '#89e051', text: '#1f2328' },
+  shell: { label: 'SH', color: '#89e051', text: '#1f2328' },
+  shellscript: { label: 'SH', color: '#89e051', text: '#1f2328' },
+  dockerfile: { label: 'DOCKER', color: '#384d54' },
+  vue: { label: 'VUE', color: '#41b883' },
+  svelte: { label: 'SVELTE', color: '#ff3e00' },
+};
+const BADGE_FONT_SIZE = 9;
+const BADGE_HEIGHT = 16;
+const BADGE_PADDING = 5;
+const BADGE_GAP = 8;
+
+/**
+ * Validate window chrome options from the request body, applying defaults
+ * @param {Object} fields - { windowStyle, showWindowControls, title, filename, showLanguageIcon }
+ *   showWindowControls: false is kept as a shorthand for windowStyle "none";
+ *   the title defaults to the base name of filename
+ * @returns {Object} { windowChrome } on success or { error } on invalid input
+ *   windowChrome: { style: string, title: string|null, showLanguageIcon: boolean }
+ */
+function validateWindowChrome({ windowStyle, showWindowControls, title, filename, showLanguageIcon } = {}) {
+  let style = showWindowControls === false ? 'none' : DEFAULT_WINDOW_STYLE;
+  if (windowStyle !== undefined && windowStyle !== null) {
+    if (typeof windowStyle !== 'string' || !Object.hasOwn(WINDOW_STYLES, windowStyle)) {
+      return { error: `Invalid windowStyle. Must be one of: ${Object.keys(WINDOW_STYLES).join(', ')}` };
+    }
+    style = windowStyle;
+  }
+
+  let resolvedTitle = null;
+  if (title !== undefined && title !== null) {
+    if (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH || /[\u0000-\u001f\u007f]/.test(title)) {
+      return {
+        error: `Invalid title. Must be a single-line string of at most ${MAX_TITLE_LENGTH} characters`,
+      };
+    }
+    resolvedTitle = title.trim() || null;
+  } else if (typeof filename === 'string' && filename.trim()) {
+    resolvedTitle = filename.trim().split(/[\\/]/).pop().slice(0, MAX_TITLE_LENGTH) || null;
+  }
+
+  if (showLanguageIcon !== undefined && showLanguageIcon !== null && typeof showLanguageIcon !== 'boolean') {
+    return { error: 'Invalid showLanguageIcon. Must be true or false' };
+  }
+
+  return {
+    windowChrome: {
+      style,
+      title: resolvedTitle,
+      showLanguageIcon: showLanguageIcon === true,
+    },
+  };
+}
+
+/**
+ * Resolve the title bar for a render
+ * @param {Object} windowChrome - Validated window chrome (see validateWindowChrome)
+ * @param {string} language - Highlighted language, for the badge
+ * @returns {Object} { style, height, controls, titleAlign, titleInset, title, badge }
+ *   badge: { label, color, text, width } or null
+ */
+function getTitleBar(windowChrome = {}, language) {
+  const style = WINDOW_STYLES[windowChrome.style] ? windowChrome.style : DEFAULT_WINDOW_STYLE;
+  const spec = WINDOW_STYLES[style];
+
+  return {
+    style,
+    ...spec,
+    title: style === 'none' ? null : windowChrome.title || null,
+    badge: style !== 'none' && windowChrome.showLanguageIcon ? getLanguageBadge(language) : null,
+  };
+}
+
+/**
+ * Get the badge shown for a language
+ * Languages without a registered badge get a neutral one with a short label
+ * @param {string} language - Shiki language id
+ * @returns {Object|null} { label, color, text, width } or null for plain text
+ */
+function getLanguageBadge(language) {
+  if (!language || ['text', 'plaintext', 'txt', 'plain', 'ansi'].includes(language)) {
+    return null;
+  }
+
+  const badge = LANGUAGE_BADGES[language] || {
+    label: language.replace(/[^a-z0-9+#]/gi, '').slice(0, 4).toUpperCase(),
+    color: '#6e7681',
+  };
+  if (!badge.label) {
+    return null;
+  }
+
+  return {
+    text: '#ffffff',
+    ...badge,
+    // Badge labels use the monospace code font: 0.6em per character
+    width: Math.ceil(badge.label.length * BADGE_FONT_SIZE * 0.6 + BADGE_PADDING * 2),
+  };
+}
+
+module.exports = {
+  WINDOW_STYLES,
+  TITLE_FONT_SIZE,
+  DOT_RADIUS,
+  DOT_GAP,
+  DOT_INSET,
+  DOT_COLORS,
+  CAPTION_BUTTON_WIDTH,
+  ROUND_BUTTON_RADIUS,
+  ROUND_BUTTON_GAP,
+  WINDOW_BUTTON_ICONS,
+  WINDOW_BUTTONS,
+  BADGE_FONT_SIZE,
+  BADGE_HEIGHT,
+  BADGE_GAP,
+  validateWindowChrome,
+  getTitleBar,
+};
@@ -0,0 +1,147 @@
+/**
+ * Usage limit tests against a stub query client
+ * The stub keeps api_token_usage / api_token_rate_windows rows in memory and applies
+ * each statement's condition the way PostgreSQL would, so the reserve / refund SQL
+ * paths run without a database
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const statements = [];
+const usage = new Map(); // "<token_hash> <period_start>" -> request_count
+const windows = new Map(); // "<token_hash> <window_start ISO>" -> request_count
+
+async function query(sql, params) {
+  statements.push({ sql, params });
+
+  if (sql.includes('INSERT INTO api_token_usage')) {
+    const [tokenHash, periodStart, units, monthlyQuota] = params;
+    const key = `${tokenHash} ${periodStart}`;
+    const next = (usage.get(key) || 0) + units;
+    if (monthlyQuota !== 0 && next > monthlyQuota) {
+      return { rows: [] };
+    }
+    usage.set(key, next);
+    return { rows: [{ request_count: next }] };
+  }
+
+  if (sql.includes('UPDATE api_token_usage')) {
+    const [tokenHash, periodStart, units] = params;
+    const key = `${tokenHash} ${periodStart}`;
+    if (!usage.has(key)) {
+      return { rows: [] };
+    }
+    usage.set(key, Math.max(usage.get(key) - units, 0));
+    return { rows: [{ request_count: usage.get(key) }] };
+  }
+
+  if (sql.includes('SELECT request_count FROM api_token_usage')) {
+    const count = usage.get(`${params[0]} ${params[1]}`);
+    return { rows: count === undefined ? [] : [{ request_count: count }] };
+  }
+
+  if (sql.includes('INSERT INTO api_token_rate_windows')) {
+    const [tokenHash, windowStart, previousStart, units, previousWeight, limit] = params;
+    const key = `${tokenHash} ${windowStart.toISOString()}`;
+    const previous = windows.get(`${tokenHash} ${previousStart.toISOString()}`) || 0;
+    const next = (windows.get(key) || 0) + units;
+    if (next + previous * previousWeight > limit) {
+      return { rows: [] };
+    }
+    windows.set(key, next);
+    return { rows: [{ request_count: next, previous_count: previous }] };
+  }
+
+  if (sql.includes('DELETE FROM api_token_rate_windows')) {
+    return { rows: [] };
+  }
+
+  throw new Error(`Unexpected statement: ${sql}`);
+}
+
+// usageLimits reads query from the connection pool module when it is loaded
+const poolPath = require.resolve('../../src/db/connectionPool');
+require.cache[poolPath] = { id: poolPath, filename: poolPath, loaded: true, exports: { query } };
+const { checkTokenLimits, settleTokenUsage } = require('../../src/db/usageLimits');
+
+const NOW = new Date('2026-10-19T12:00:30Z');
+
+function createToken(tokenHash, limits = {}) {
+  return { tokenHash, monthlyQuota: 0, rateLimitPerMinute: 0, ...limits };
+}
+
+test.beforeEach(() => {
+  statements.length = 0;
+  usage.clear();
+  windows.clear();
+});
+
+test('reserves units with one conditional upsert', async () => {
+  const token = createToken('a', { monthlyQuota: 5 });
+  const result = await checkTokenLimits(token, 2, NOW);
+
+  assert.strictEqual(result.allowed, true);
+  assert.deepStrictEqual(result.reservation, { periodStart: '2026-10-01', units: 2 });
+  assert.deepStrictEqual(result.rateLimit, { limit: 5, remaining: 3, reset: Date.UTC(2026, 10, 1) / 1000 });
+  assert.strictEqual(statements.length, 1);
+  assert.match(statements[0].sql, /ON CONFLICT \(token_hash, period_start\) DO UPDATE/);
+  assert.match(statements[0].sql, /WHERE \$4::int = 0 OR api_token_usage\.request_count \+ EXCLUDED\.request_count <= \$4::int/);
+  assert.deepStrictEqual(statements[0].params, ['a', '2026-10-01', 2, 5]);
+});
+
+test('concurrent requests cannot reserve more than the quota', async () => {
+  const token = createToken('b', { monthlyQuota: 3 });
+  const results = await Promise.all([1, 2, 3, 4, 5].map(() => checkTokenLimits(token, 1, NOW)));
+
+  assert.strictEqual(results.filter((result) => result.allowed).length, 3);
+  const rejected = results.find((result) => !result.allowed);
+  assert.strictEqual(rejected.error, 'Monthly quota exceeded. Please upgrade your plan or wait for quota reset.');
+  assert.strictEqual(rejected.rateLimit.remaining, 0);
+  assert.strictEqual(usage.get('b 2026-10-01'), 3);
+});
+
+test('a batch larger than the remaining quota reserves nothing', async () => {
+  const token = createToken('c', { monthlyQuota: 4 });
+  await checkTokenLimits(token, 3, NOW);
+  const result = await checkTokenLimits(token, 2, NOW);
+
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.rateLimit.remaining, 1);
+  assert.strictEqual(usage.get('c 2026-10-01'), 3);
+});
+
+test('failed renders are refunded when the reservation is settled', async () => {
+  const token = createToken('d', { monthlyQuota: 10 });
+  const { reservation } = await checkTokenLimits(token, 4, NOW);
+
+  const rateLimit = await settleTokenUsage(token, reservation, 1, NOW);
+  assert.strictEqual(usage.get('d 2026-10-01'), 1);
+  assert.strictEqual(rateLimit.remaining, 9);
+  assert.match(statements.at(-1).sql, /GREATEST\(request_count - \$3::int, 0\)/);
+
+  // Nothing to refund: no statement
+  const count = statements.length;
+  const { reservation: next } = await checkTokenLimits(token, 1, NOW);
+  assert.strictEqual(await settleTokenUsage(token, next, 1, NOW), null);
+  assert.strictEqual(statements.length, count + 1);
+});
+
+test('units are counted without a quota', async () => {
+  const token = createToken('e');
+  const result = await checkTokenLimits(token, 100, NOW);
+
+  assert.strictEqual(result.allowed, true);
+  assert.strictEqual(result.rateLimit, null);
+  assert.strictEqual(usage.get('e 2026-10-01'), 100);
+});
+
+test('a rate-limited request gives its reserved units back', async () => {
+  const token = createToken('f', { monthlyQuota: 10, rateLimitPerMinute: 2 });
+  assert.strictEqual((await checkTokenLimits(token, 2, NOW)).allowed, true);
+
+  const result = await checkTokenLimits(token, 1, NOW);
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.error, 'Rate limit exceeded. Please try again later.');
+  assert.strictEqual(usage.get('f 2026-10-01'), 2);
+});